@@ -7,13 +7,21 @@ import authRoutes from './routes/authRoutes.js';
 import postRoutes from './routes/postRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
-import cron from 'node-cron';
-import { fetchNewsAndPost } from './controllers/botController.js';
+import adminRoutes from './routes/adminRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import bookmarkRoutes from './routes/bookmarkRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import { startBotScheduler } from './controllers/botController.js';
+import { startJobWorker } from './services/jobQueue.js';
 
 dotenv.config();
 
 connectDB();
 
+// Process queued background jobs (e.g., AI analysis of new posts)
+startJobWorker();
+
 const app = express();
 
 app.use(cors());
@@ -23,6 +31,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/collections', collectionRoutes);
 
 app.get('/health', (req, res) => {
   res.status(200).send('Backend is alive!');
@@ -32,23 +45,8 @@ app.get('/', (req, res) => {
   res.send('API is running...');
 });
 
-// NEW: Schedule the bot's news posting task to run every 40 minutes
-// Calculation: (24 hours * 60 minutes) / 40 minutes = 36 runs per day
-// Total Newsdata.io API calls per day: 5 news bots * 1 call/bot * 36 runs/day = 180 calls/day (within 200 limit)
-// The Motivation bot's ZenQuotes.io calls are separate and do not count towards this.
-cron.schedule('*/40 * * * *', () => {
-  console.log('Running scheduled bot news posting...');
-  fetchNewsAndPost();
-}, {
-  scheduled: true,
-  timezone: 'America/Chicago', // Or your desired timezone
-});
-
-app.post('/api/bots/trigger-news-post', (req, res) => {
-  console.log('Manual trigger for bot news posting received.');
-  fetchNewsAndPost();
-  res.status(200).json({ message: 'Bot news posting triggered manually.' });
-});
+// Run each enabled bot on its own schedule (see BotConfig.schedule)
+startBotScheduler().catch(error => console.error('Error starting bot scheduler:', error));
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
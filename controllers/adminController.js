@@ -0,0 +1,212 @@
+// controllers/adminController.js - Admin management of users (search, ban, roles), bot runs, API quotas and job locks
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { fetchNewsAndPost } from './botController.js';
+import { getQuotaUsage } from '../services/quotaTracker.js';
+import { getLeases } from '../services/leaseLock.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+
+const ROLES = ['user', 'moderator', 'admin', 'bot'];
+
+// Escape user input before using it in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Loads the target user of /users/:id routes, answering 404 itself when it doesn't exist
+const findTargetUser = async(req, res) => {
+  const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id).select('-password') : null;
+  if (!user) {
+    res.status(404).json({ message: 'User not found.' });
+  }
+  return user;
+};
+
+// @desc    List or search users, newest first
+// @route   GET /api/admin/users?q=<username or email>&role=<role>&banned=<true|false>&limit=<n>&cursor=<nextCursor>
+// @access  Private/Admin
+const getUsers = async(req, res) => {
+  const { q, role, banned } = req.query;
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+  }
+
+  const filter = { ...cursorFilter };
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: 'i' };
+    filter.$and = [{ $or: [{ username: pattern }, { email: pattern }] }];
+  }
+  if (role === 'admin') {
+    (filter.$and = filter.$and || []).push({ $or: [{ role: 'admin' }, { isAdmin: true }] });
+  } else if (role === 'bot') {
+    (filter.$and = filter.$and || []).push({ $or: [{ role: 'bot' }, { isBot: true }] });
+  } else if (role) {
+    filter.role = role;
+  }
+  if (banned !== undefined) {
+    filter.banned = banned === 'true';
+  }
+
+  try {
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = buildPage(users, limit);
+    res.json({ users: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching users.' });
+  }
+};
+
+// @desc    Get any user's full account details
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUserDetails = async(req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (user) {
+      res.json(user);
+    }
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching user.' });
+  }
+};
+
+// @desc    Ban a user and log them out everywhere
+// @route   PUT /api/admin/users/:id/ban
+// @access  Private/Admin
+const banUser = async(req, res) => {
+  const { reason } = req.body;
+
+  if (req.params.id === req.user._id.toString()) {
+    return res.status(400).json({ message: 'You cannot ban yourself.' });
+  }
+
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.banned = true;
+    user.bannedAt = new Date();
+    user.banReason = reason || '';
+    await user.save();
+    await revokeAllSessions(user._id, 'banned');
+
+    res.json({ message: `User ${user.username} banned.`, user });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error banning user.' });
+  }
+};
+
+// @desc    Lift a ban
+// @route   PUT /api/admin/users/:id/unban
+// @access  Private/Admin
+const unbanUser = async(req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.banned = false;
+    user.bannedAt = null;
+    user.banReason = '';
+    await user.save();
+
+    res.json({ message: `User ${user.username} unbanned.`, user });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error unbanning user.' });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async(req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+  }
+  if (req.params.id === req.user._id.toString()) {
+    return res.status(400).json({ message: 'You cannot change your own role.' });
+  }
+
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.role = role;
+    user.isAdmin = role === 'admin';
+    user.isBot = role === 'bot';
+    await user.save();
+
+    res.json({ message: `User ${user.username} is now ${role}.`, user });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error updating user role.' });
+  }
+};
+
+// @desc    Run all bots now instead of waiting for the schedule
+// @route   POST /api/admin/bots/trigger
+// @access  Private/Admin
+const triggerBotRun = async(req, res) => {
+  console.log(`Manual trigger for bot news posting received from admin ${req.user.username}.`);
+  fetchNewsAndPost().catch(error => console.error('Error in manually triggered bot run:', error));
+  res.status(202).json({ message: 'Bot news posting triggered manually.' });
+};
+
+// @desc    Today's calls to each metered external API against its daily budget, with recent daily counts
+// @route   GET /api/admin/quotas?days=<1-90>
+// @access  Private/Admin
+const getApiQuotas = async(req, res) => {
+  const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    return res.status(400).json({ message: 'days must be a whole number from 1 to 90.' });
+  }
+
+  try {
+    res.json(await getQuotaUsage(days));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching API quotas.' });
+  }
+};
+
+// @desc    List scheduled-job locks and the instance holding each (holder is null when free)
+// @route   GET /api/admin/locks?prefix=<name prefix>
+// @access  Private/Admin
+const getJobLocks = async(req, res) => {
+  try {
+    res.json(await getLeases(typeof req.query.prefix === 'string' ? req.query.prefix : ''));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching job locks.' });
+  }
+};
+
+export {
+  getUsers,
+  getUserDetails,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  triggerBotRun,
+  getApiQuotas,
+  getJobLocks,
+};
@@ -1,125 +1,23 @@
-// controllers/aiController.js - AI processing for posts using Hugging Face (Sentiment, Emotion, Toxicity) and Gemini (Topics, Summary, Category)
-import dotenv from 'dotenv';
+// controllers/aiController.js - AI processing for posts through the configured AI providers (see services/ai)
+import mongoose from 'mongoose';
 import Post from '../models/Post.js'; // To fetch and update post content
-
-dotenv.config(); // Load environment variables
-
-// Hugging Face Configuration
-const HF_API_TOKEN = process.env.HF_API_TOKEN;
-const HF_SENTIMENT_MODEL = process.env.HF_SENTIMENT_MODEL || 'cardiffnlp/twitter-roberta-base-sentiment';
-const HF_EMOTION_MODEL = process.env.HF_EMOTION_MODEL || 'j-hartmann/emotion-english-distilroberta-base';
-const HF_TOXICITY_MODEL = process.env.HF_TOXICITY_MODEL || 'cardiffnlp/twitter-roberta-base-offensive';
-
-const HF_INFERENCE_API_BASE_URL = 'https://api-inference.huggingface.co/models/';
-
-// Gemini AI Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-
-// Helper to call Hugging Face Inference API
-const callHuggingFaceAPI = async(modelId, inputs) => {
-  if (!HF_API_TOKEN) {
-    console.error(`Hugging Face API token is missing for model: ${modelId}`);
-    throw new Error('Hugging Face API token missing.');
-  }
-
-  const response = await fetch(`${HF_INFERENCE_API_BASE_URL}${modelId}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${HF_API_TOKEN}`,
-    },
-    body: JSON.stringify({
-      inputs: inputs,
-      options: {
-        wait_for_model: true, // Wait for the model to load if it's not active
-      },
-    }),
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`Hugging Face API Error for ${modelId}:`, response.status, errorText);
-    throw new Error(`HF API error (${response.status}): ${errorText}`);
-  }
-
-  return response.json();
-};
-
-// Function to map Hugging Face sentiment scores to custom sentiment labels (for cardiffnlp/twitter-roberta-base-sentiment)
-const getSentimentLabel = (scores) => {
-  let predictedLabel = 'Unknown';
-  let maxScore = -1;
-  let finalLabel = '';
-
-  for (const item of scores) {
-    if (item.score > maxScore) {
-      maxScore = item.score;
-      finalLabel = item.label;
-    }
-  }
-
-  if (finalLabel === 'LABEL_0') {
-    predictedLabel = 'Negative';
-  } else if (finalLabel === 'LABEL_1') {
-    predictedLabel = 'Neutral';
-  } else if (finalLabel === 'LABEL_2') {
-    predictedLabel = 'Positive';
-  }
-
-  return predictedLabel;
-};
-
-// Function to process emotion labels from j-hartmann/emotion-english-distilroberta-base
-const getEmotionLabels = (scores, threshold = 0.5) => {
-  return scores.filter(emotion => emotion.score >= threshold).map(emotion => ({
-    emotion: emotion.label.toLowerCase(),
-    score: parseFloat(emotion.score.toFixed(2)),
-  }));
-};
-
-// Function to process toxicity labels from cardiffnlp/twitter-roberta-base-offensive
-const getToxicityScores = (scores, threshold = 0.5) => {
-  const toxicLabels = {};
-  let isToxic = false;
-
-  const categories = scores[0] || scores;
-
-  if (!Array.isArray(categories)) {
-    console.warn('Toxicity model returned unexpected format for categories:', scores);
-    return { detected: false, details: { error: 'Unexpected response format for categories' } };
-  }
-
-  for (const item of categories) {
-    if (item.score >= threshold) {
-      const cleanLabel = item.label.toLowerCase().replace(/_/g, ' ');
-      toxicLabels[cleanLabel] = parseFloat(item.score.toFixed(2));
-
-      if (cleanLabel === 'offensive') {
-        isToxic = true;
-      }
-    }
-  }
-  return { detected: isToxic, details: toxicLabels };
-};
+import Job from '../models/Job.js';
+import Bookmark from '../models/Bookmark.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueue.js';
+import { analyzeSentiment, detectEmotions, detectToxicity, analyzeContent, embedText, getProviderCalls } from '../services/ai/index.js';
+import { upsertPostVector } from '../services/vectorIndex.js';
+import { QuotaExceededError, assertQuotaAvailable } from '../services/quotaTracker.js';
+import { createAutomaticReport } from './reportController.js';
+import { reconcileUserPreferences } from '../utils/preferences.js';
 
 /**
  * NEW: Core function to perform AI analysis on a given post.
  * This function is extracted to be reusable by both the API route and internal processes (like bots).
  * @param {string} postId - The ID of the post to analyze.
  * @returns {object|null} The updated post object with AI analysis, or null if analysis fails.
+ * @throws {QuotaExceededError} If a provider's daily quota is used up; nothing is saved, so the analysis can run again after the reset.
  */
 const performAIAnalysisOnPost = async(postId) => {
-  // Initial checks for API keys
-  if (!HF_API_TOKEN) {
-    console.error('AI service not configured: Hugging Face API token missing.');
-    return null;
-  }
-  if (!GEMINI_API_KEY) {
-    console.error('AI service not configured: Gemini API key missing.');
-    return null;
-  }
-
   try {
     // 1. Fetch the post from the database
     const post = await Post.findById(postId);
@@ -140,130 +38,58 @@ const performAIAnalysisOnPost = async(postId) => {
     let category = 'Uncategorized';
     let factCheck = 'Unknown';
 
+    // Calls spent on a batch that a used-up quota makes us throw away would be wasted: check the budgets first
+    await assertQuotaAvailable(getProviderCalls(['sentiment', 'emotion', 'toxicity', 'content']));
+
     // --- Concurrent API Calls ---
     const [
       sentimentPromise,
       emotionPromise,
       toxicityPromise,
-      geminiPromise,
+      contentPromise,
     ] = await Promise.allSettled([
-      callHuggingFaceAPI(HF_SENTIMENT_MODEL, postContent),
-      callHuggingFaceAPI(HF_EMOTION_MODEL, postContent),
-      callHuggingFaceAPI(HF_TOXICITY_MODEL, postContent),
-      (async() => { // IIFE for Gemini to handle its specific logic
-        const geminiCategories = ['News', 'Sports', 'Technology', 'Entertainment', 'Politics', 'Art', 'Science', 'Education', 'Lifestyle', 'Travel', 'Food', 'Health', 'Personal Update', 'Opinion', 'Humor', 'Other'];
-        const geminiPrompt = `Analyze the following social media post.
-        1. Extract 3-5 distinct, concise, specific, and highly relevant keywords or short phrases as topics. These should be like hashtags you'd find on Twitter (e.g., ["AI", "MachineLearning", "WebDev"]).
-        2. Provide a concise summary of the post (max 50 words).
-        3. Classify the post into ONE of the following categories: ${geminiCategories.join(', ')}. If none fit well, use "Other".
-        4. **Fact Check**: Based on common knowledge and general understanding, assess the factual accuracy of the post.
-           - If the post's core factual claims are almost certainly true/supported by widely accepted information, return 'support'.
-           - If the factual accuracy is uncertain, requires more context, or cannot be determined with high confidence, return 'neutral'.
-           - If the post contains statements that directly contradict widely accepted facts, return 'oppose'.
-
-        Provide the output in JSON format like this:
-        {
-          "topics": ["topic1", "topic2", "topic3"],
-          "summary": "Concise summary of the post.",
-          "category": "CategoryName",
-          "factCheck": "support|neutral|oppose"
-        }
-
-        Post: "${postContent}"`;
-
-        const geminiPayload = {
-          contents: [{ role: 'user', parts: [{ text: geminiPrompt }] }],
-          generationConfig: {
-            responseMimeType: 'application/json',
-            responseSchema: {
-              type: 'OBJECT',
-              properties: {
-                'topics': {
-                  'type': 'ARRAY',
-                  'items': { 'type': 'STRING' },
-                },
-                'summary': { 'type': 'STRING' },
-                'category': { 'type': 'STRING', 'enum': geminiCategories.concat('Other') },
-                'factCheck': { 'type': 'STRING', 'enum': ['support', 'neutral', 'oppose'] },
-              },
-              'required': ['topics', 'summary', 'category', 'factCheck'],
-            },
-          },
-        };
-
-        const geminiResponse = await fetch(GEMINI_API_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(geminiPayload),
-        });
-
-        if (!geminiResponse.ok) {
-          const geminiErrorText = await geminiResponse.text();
-          console.error('Gemini API Error (Topics/Summary/Category/FactCheck):', geminiResponse.status, geminiErrorText);
-          throw new Error(`Gemini API error (${geminiResponse.status}): ${geminiErrorText}`);
-        } else {
-          const geminiResult = await geminiResponse.json();
-          if (geminiResult.candidates && geminiResult.candidates.length > 0 &&
-              geminiResult.candidates[0].content && geminiResult.candidates[0].content.parts &&
-              geminiResult.candidates[0].content.parts.length > 0) {
-            try {
-              const jsonString = geminiResult.candidates[0].content.parts[0].text;
-              return JSON.parse(jsonString); // Return the parsed object
-            } catch (parseError) {
-              console.error('Failed to parse Gemini JSON response:', parseError);
-              throw new Error('Error parsing Gemini JSON response.');
-            }
-          } else {
-            throw new Error('No valid Gemini response found.');
-          }
-        }
-      })(),
+      analyzeSentiment(postContent),
+      detectEmotions(postContent),
+      detectToxicity(postContent),
+      analyzeContent(postContent),
     ]);
 
+    // A used-up quota is not a failed analysis: keep the current analysis rather than saving 'Error' values
+    const quotaFailure = [sentimentPromise, emotionPromise, toxicityPromise, contentPromise]
+      .find(result => result.status === 'rejected' && result.reason instanceof QuotaExceededError);
+    if (quotaFailure) {
+      throw quotaFailure.reason;
+    }
+
     // Process results from Promise.allSettled
     if (sentimentPromise.status === 'fulfilled') {
-      // console.log('Raw HF Sentiment Output:', JSON.stringify(sentimentPromise.value)); // Commented out for less verbose logs
-      if (Array.isArray(sentimentPromise.value) && Array.isArray(sentimentPromise.value[0])) {
-        sentiment = getSentimentLabel(sentimentPromise.value[0]);
-      } else {
-        console.warn('Unexpected sentiment output format. Using \'Unknown\'.', sentimentPromise.value);
-        sentiment = 'Unknown';
-      }
+      sentiment = sentimentPromise.value;
     } else {
       console.error('Sentiment Analysis failed:', sentimentPromise.reason);
       sentiment = 'Error';
     }
 
     if (emotionPromise.status === 'fulfilled') {
-      // console.log('Raw HF Emotion Output:', JSON.stringify(emotionPromise.value)); // Commented out
-      if (Array.isArray(emotionPromise.value) && Array.isArray(emotionPromise.value[0])) {
-        emotions = getEmotionLabels(emotionPromise.value[0]);
-      } else {
-        console.warn('Unexpected emotion output format. Using empty array.', emotionPromise.value);
-        emotions = [];
-      }
+      emotions = emotionPromise.value;
     } else {
       console.error('Emotion Detection failed:', emotionPromise.reason);
       emotions = [{ emotion: 'Error', score: 'N/A' }];
     }
 
     if (toxicityPromise.status === 'fulfilled') {
-      // console.log('Raw HF Toxicity Output:', JSON.stringify(toxicityPromise.value)); // Commented out
-      toxicity = getToxicityScores(toxicityPromise.value);
+      toxicity = toxicityPromise.value;
     } else {
       console.error('Toxicity detection failed:', toxicityPromise.reason);
       toxicity = { detected: false, details: { error: 'N/A' } };
     }
 
-    if (geminiPromise.status === 'fulfilled') {
-      topics = geminiPromise.value.topics || [];
-      summary = geminiPromise.value.summary || 'AI summary unavailable.';
-      category = geminiPromise.value.category || 'Uncategorized';
-      factCheck = geminiPromise.value.factCheck || 'Unknown';
+    if (contentPromise.status === 'fulfilled') {
+      topics = contentPromise.value.topics || [];
+      summary = contentPromise.value.summary || 'AI summary unavailable.';
+      category = contentPromise.value.category || 'Uncategorized';
+      factCheck = contentPromise.value.factCheck || 'Unknown';
     } else {
-      console.error('Gemini analysis failed:', geminiPromise.reason);
+      console.error('Content analysis failed:', contentPromise.reason);
       topics = ['AI Error'];
       summary = 'AI summary unavailable.';
       category = 'Error';
@@ -287,16 +113,73 @@ const performAIAnalysisOnPost = async(postId) => {
     };
 
     // 4. Save the AI analysis results back to the post document
+    const previousAnalysis = post.aiAnalysis ? post.aiAnalysis.toObject() : null;
     post.aiAnalysis = aiAnalysis;
     await post.save(); // Save the updated post
 
+    // Likers' and savers' preferences were counted with the previous category/topics (placeholder or pre-edit analysis)
+    await reconcileUserPreferences(post.likes, previousAnalysis, aiAnalysis);
+    const saverIds = await Bookmark.find({ post: post._id }).distinct('user');
+    await reconcileUserPreferences(saverIds, previousAnalysis, aiAnalysis);
+
+    // 5. Send toxic posts to the moderation queue
+    await createAutomaticReport(post);
+
     return post; // Return the updated post
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      throw error;
+    }
     console.error('Server error during overall AI analysis in performAIAnalysisOnPost:', error);
     return null; // Return null on failure
   }
 };
 
+// Job type used for queued post analysis
+const ANALYZE_POST_JOB = 'analyzePost';
+
+// Queue worker handler: throwing lets the job queue retry with backoff (or, for a used-up quota, after the reset)
+registerJobHandler(ANALYZE_POST_JOB, async({ postId }) => {
+  if (!(await Post.exists({ _id: postId }))) {
+    console.warn(`Post ${postId} no longer exists. Dropping queued AI analysis.`);
+    return;
+  }
+  const updatedPost = await performAIAnalysisOnPost(postId);
+  if (!updatedPost) {
+    throw new Error(`AI analysis failed for post ${postId}.`);
+  }
+});
+
+// Job type used for computing a post's embedding (related posts and semantic search)
+const EMBED_POST_JOB = 'embedPost';
+
+registerJobHandler(EMBED_POST_JOB, async({ postId }) => {
+  const post = await Post.findById(postId).select('content');
+  if (!post) {
+    console.warn(`Post ${postId} no longer exists. Dropping queued embedding.`);
+    return;
+  }
+  const { model, vector } = await embedText(post.content);
+  await upsertPostVector(post._id, model, vector);
+});
+
+/**
+ * Queues AI analysis and the embedding for a post so they run in the background job worker.
+ * Re-queuing a post that is still waiting reuses the pending jobs.
+ * @param {string} postId - The ID of the post to analyze.
+ * @returns {object|null} The queued analysis job, or null if it could not be queued.
+ */
+const enqueuePostAnalysis = async(postId) => {
+  try {
+    const job = await enqueueJob(ANALYZE_POST_JOB, { postId: postId.toString() }, { post: postId, dedupe: true });
+    await enqueueJob(EMBED_POST_JOB, { postId: postId.toString() }, { post: postId, dedupe: true });
+    return job;
+  } catch (error) {
+    console.error(`Failed to queue AI analysis for post ${postId}:`, error);
+    return null;
+  }
+};
+
 // @desc    Analyze post content using multiple AI models and save to post
 // @route   POST /api/ai/analyze/:postId
 // @access  Private (requires authentication)
@@ -316,9 +199,42 @@ const analyzePost = async(req, res) => {
       res.status(500).json({ message: 'Failed to perform AI analysis or post not found.' });
     }
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ message: 'AI analysis is unavailable until the daily quota resets.', retryAt: error.retryAt });
+    }
     console.error('Error in analyzePost controller:', error);
     res.status(500).json({ message: 'Server error during AI analysis request.' });
   }
 };
 
-export { analyzePost, performAIAnalysisOnPost }; // NEW: Export the helper function
+// @desc    Get the AI analysis job status for a post
+// @route   GET /api/ai/jobs/:postId
+// @access  Private (requires authentication)
+const getAnalysisJobStatus = async(req, res) => {
+  const { postId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    return res.status(404).json({ message: 'No analysis jobs found for this post.' });
+  }
+
+  try {
+    const jobs = await Job.find({ post: postId, type: ANALYZE_POST_JOB })
+      .select('status attempts maxAttempts runAt lastError completedAt createdAt updatedAt')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    if (jobs.length === 0) {
+      return res.status(404).json({ message: 'No analysis jobs found for this post.' });
+    }
+
+    res.json({
+      postId,
+      status: jobs[0].status, // Status of the most recent job
+      jobs,
+    });
+  } catch (error) {
+    console.error('Error in getAnalysisJobStatus controller:', error);
+    res.status(500).json({ message: 'Server error fetching analysis job status.' });
+  }
+};
+
+export { analyzePost, performAIAnalysisOnPost, enqueuePostAnalysis, getAnalysisJobStatus };
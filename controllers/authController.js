@@ -1,10 +1,12 @@
 // controllers/authController.js - User authentication and profile management
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
 import { createNotification } from './notificationController.js';
 import { v2 as cloudinary } from 'cloudinary';
 import dotenv from 'dotenv';
+import { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } from '../services/sessions.js';
+import { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail } from '../services/accountTokens.js';
 
 dotenv.config();
 
@@ -23,11 +25,8 @@ const getCloudinaryPublicId = (imageUrl) => {
   return publicIdWithExt.split('.')[0];
 };
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-};
+// Basic shape check; ownership of the address is confirmed through the verification email
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 // Register a new user
 const registerUser = async(req, res) => {
@@ -35,6 +34,9 @@ const registerUser = async(req, res) => {
   if (!username || !email || !password) {
     return res.status(400).json({ message: 'Please enter all fields.' });
   }
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ message: 'Please enter a valid email address.' });
+  }
 
   try {
     let user = await User.findOne({ email });
@@ -46,12 +48,23 @@ const registerUser = async(req, res) => {
     user = new User({ username, email, password });
     await user.save();
 
+    // Signup succeeds even if the mail can't be sent; the user can ask for a new link later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error(`Failed to send verification email to ${user.email}:`, mailError);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(201).json({
       _id: user._id,
       username: user.username,
       email: user.email,
       profilePicture: user.profilePicture,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      token,
+      refreshToken,
     });
   } catch (error) {
     console.error(error);
@@ -69,12 +82,17 @@ const loginUser = async(req, res) => {
   try {
     const user = await User.findOne({ email });
     if (user && (await user.matchPassword(password))) {
+      if (user.banned) {
+        return res.status(403).json({ message: 'This account has been banned.' });
+      }
+      const { token, refreshToken } = await createSession(user, req);
       res.json({
         _id: user._id,
         username: user.username,
         email: user.email,
         profilePicture: user.profilePicture,
-        token: generateToken(user._id),
+        token,
+        refreshToken,
       });
     } else {
       res.status(401).json({ message: 'Invalid credentials.' });
@@ -85,6 +103,156 @@ const loginUser = async(req, res) => {
   }
 };
 
+// Confirm an email address with the token from the verification email
+const verifyEmail = async(req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ message: 'Verification token is required.' });
+  }
+
+  try {
+    const user = await consumeAccountToken(token, 'email-verification');
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token.' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } });
+    res.json({ message: 'Email verified.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during email verification.' });
+  }
+};
+
+// Send a new verification email to the logged-in user
+const resendVerificationEmail = async(req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ message: 'Email is already verified.' });
+  }
+
+  try {
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error sending verification email.' });
+  }
+};
+
+// Send a password reset link. The response is the same whether or not the email is registered.
+const forgotPassword = async(req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required.' });
+  }
+
+  try {
+    const user = await User.findOne({ email });
+    if (user && !user.isBot) {
+      await sendPasswordResetEmail(user);
+    }
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during password reset request.' });
+  }
+};
+
+// Set a new password with the token from the reset email, then log out every device
+const resetPassword = async(req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Please enter all fields.' });
+  }
+
+  try {
+    const tokenUser = await consumeAccountToken(token, 'password-reset');
+    if (!tokenUser) {
+      return res.status(400).json({ message: 'Invalid or expired reset token.' });
+    }
+
+    const user = await User.findById(tokenUser._id);
+    user.password = password;
+    // The reset link reached the user's inbox, so the address is confirmed too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id, 'password-reset');
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during password reset.' });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token (rotation)
+const refreshAccessToken = async(req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required.' });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during token refresh.' });
+  }
+};
+
+// Log out of the current device session
+const logoutUser = async(req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'logout');
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during logout.' });
+  }
+};
+
+// List the logged-in user's active sessions
+const getSessions = async(req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId,
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching sessions.' });
+  }
+};
+
+// Revoke one of the logged-in user's sessions (e.g., a lost device)
+const deleteSession = async(req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'Session not found.' });
+  }
+
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id, 'revoked');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found.' });
+    }
+    res.json({ message: 'Session revoked.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error revoking session.' });
+  }
+};
+
 // Get logged-in user profile
 const getProfile = async(req, res) => {
   try {
@@ -282,6 +450,14 @@ const getUserById = async(req, res) => {
 export {
   registerUser,
   loginUser,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getProfile,
   followUser,
   unfollowUser,
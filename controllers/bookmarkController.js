@@ -0,0 +1,322 @@
+// controllers/bookmarkController.js - Saved posts (bookmarks) and the collections they are filed in
+import mongoose from 'mongoose';
+import Bookmark from '../models/Bookmark.js';
+import Collection from '../models/Collection.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { canViewPost, resolveRepost } from './postController.js';
+import { adjustUserPreferences } from '../utils/preferences.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+
+const VISIBILITIES = Collection.schema.path('visibility').enumValues;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Saving a post counts towards userPreferences like a like does, once per post however many collections hold it
+const updateSavedPreferences = async(userId, post, delta) => {
+  const user = await User.findById(userId);
+  if (user) {
+    adjustUserPreferences(user, post.aiAnalysis, delta);
+    await user.save();
+  }
+};
+
+// Deletes bookmarks and takes back the preference counts of posts the user no longer has saved anywhere
+const removeBookmarks = async(userId, bookmarks) => {
+  if (bookmarks.length === 0) {
+    return;
+  }
+  await Bookmark.deleteMany({ _id: { $in: bookmarks.map(bookmark => bookmark._id) } });
+
+  const collectionIds = bookmarks.map(bookmark => bookmark.bookmarkCollection).filter(Boolean);
+  for (const collectionId of collectionIds) {
+    await Collection.updateOne({ _id: collectionId }, { $inc: { itemCount: -1 } });
+  }
+
+  const postIds = Array.from(new Set(bookmarks.map(bookmark => bookmark.post.toString())));
+  for (const postId of postIds) {
+    if (!(await Bookmark.exists({ user: userId, post: postId }))) {
+      const post = await Post.findById(postId).select('aiAnalysis');
+      if (post) {
+        await updateSavedPreferences(userId, post, -1);
+      }
+    }
+  }
+};
+
+// Collection names must be non-empty; visibility must be known
+const validateCollectionInput = ({ name, visibility }, { requireName }) => {
+  if ((requireName || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Collection name is required.';
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return `visibility must be one of: ${VISIBILITIES.join(', ')}.`;
+  }
+  return null;
+};
+
+// @desc    Save a post, optionally into one of your collections and with a note
+// @route   POST /api/posts/:id/bookmark
+// @access  Private
+const bookmarkPost = async(req, res) => {
+  const { collectionId, note } = req.body;
+
+  try {
+    const found = isValidId(req.params.id) ? await Post.findById(req.params.id) : null;
+    // Saving a plain repost saves the post it shares
+    const post = found && canViewPost(found, req.user) ? await resolveRepost(found) : null;
+    if (!post || !canViewPost(post, req.user)) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+
+    let collection = null;
+    if (collectionId) {
+      collection = isValidId(collectionId) ? await Collection.findOne({ _id: collectionId, owner: req.user._id }) : null;
+      if (!collection) {
+        return res.status(404).json({ message: 'Collection not found.' });
+      }
+    }
+
+    const filter = { user: req.user._id, post: post._id, bookmarkCollection: collection ? collection._id : null };
+    const existing = await Bookmark.findOne(filter);
+    if (existing) {
+      return res.json(existing); // Already saved there
+    }
+
+    const savedBefore = await Bookmark.exists({ user: req.user._id, post: post._id });
+    const bookmark = await Bookmark.create({ ...filter, note: note || '' });
+    if (collection) {
+      await Collection.updateOne({ _id: collection._id }, { $inc: { itemCount: 1 } });
+    }
+    if (!savedBefore) {
+      await updateSavedPreferences(req.user._id, post, 1);
+    }
+
+    res.status(201).json(bookmark);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error saving post.' });
+  }
+};
+
+// @desc    Unsave a post: from one collection with ?collectionId=, otherwise everywhere
+// @route   DELETE /api/posts/:id/bookmark
+// @access  Private
+const unbookmarkPost = async(req, res) => {
+  const { collectionId } = req.query;
+  if (!isValidId(req.params.id) || (collectionId && !isValidId(collectionId))) {
+    return res.status(404).json({ message: 'Bookmark not found.' });
+  }
+
+  try {
+    const filter = { user: req.user._id, post: req.params.id };
+    if (collectionId) {
+      filter.bookmarkCollection = collectionId;
+    }
+    const bookmarks = await Bookmark.find(filter);
+    if (bookmarks.length === 0) {
+      return res.status(404).json({ message: 'Bookmark not found.' });
+    }
+
+    await removeBookmarks(req.user._id, bookmarks);
+    res.json({ message: 'Bookmark removed.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error removing bookmark.' });
+  }
+};
+
+// @desc    List all your saved posts, newest first
+// @route   GET /api/bookmarks?limit=<n>&cursor=<nextCursor>
+// @access  Private
+const getBookmarks = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const bookmarks = await Bookmark.find({ user: req.user._id, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('bookmarkCollection', 'name visibility')
+      .populate({ path: 'post', match: { hidden: { $ne: true } }, populate: { path: 'user', select: 'username profilePicture' } });
+
+    const { items, nextCursor } = buildPage(bookmarks, limit);
+    // Posts deleted or hidden since they were saved are left out (the page may come up short)
+    res.json({ bookmarks: items.filter(bookmark => bookmark.post), nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching bookmarks.' });
+  }
+};
+
+// @desc    Update the note on a saved post
+// @route   PUT /api/bookmarks/:id
+// @access  Private
+const updateBookmarkNote = async(req, res) => {
+  const { note } = req.body;
+  if (typeof note !== 'string') {
+    return res.status(400).json({ message: 'note must be a string.' });
+  }
+
+  try {
+    const bookmark = isValidId(req.params.id) ? await Bookmark.findOne({ _id: req.params.id, user: req.user._id }) : null;
+    if (!bookmark) {
+      return res.status(404).json({ message: 'Bookmark not found.' });
+    }
+
+    bookmark.note = note;
+    await bookmark.save();
+    res.json(bookmark);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error updating bookmark.' });
+  }
+};
+
+// @desc    List your collections
+// @route   GET /api/collections
+// @access  Private
+const getCollections = async(req, res) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id }).sort({ name: 1 });
+    res.json(collections);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching collections.' });
+  }
+};
+
+// @desc    Create a collection
+// @route   POST /api/collections
+// @access  Private
+const createCollection = async(req, res) => {
+  const { name, description, visibility } = req.body;
+  const validationError = validateCollectionInput({ name, visibility }, { requireName: true });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (await Collection.exists({ owner: req.user._id, name: name.trim() })) {
+      return res.status(400).json({ message: 'You already have a collection with this name.' });
+    }
+
+    const collection = await Collection.create({ owner: req.user._id, name, description, visibility });
+    res.status(201).json(collection);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error creating collection.' });
+  }
+};
+
+// @desc    Rename a collection or change its description/visibility
+// @route   PUT /api/collections/:id
+// @access  Private
+const updateCollection = async(req, res) => {
+  const { name, description, visibility } = req.body;
+  const validationError = validateCollectionInput({ name, visibility }, { requireName: false });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const collection = isValidId(req.params.id) ? await Collection.findOne({ _id: req.params.id, owner: req.user._id }) : null;
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found.' });
+    }
+
+    if (name !== undefined && name.trim() !== collection.name) {
+      if (await Collection.exists({ owner: req.user._id, name: name.trim() })) {
+        return res.status(400).json({ message: 'You already have a collection with this name.' });
+      }
+      collection.name = name;
+    }
+    if (description !== undefined) {
+      collection.description = description;
+    }
+    if (visibility !== undefined) {
+      collection.visibility = visibility;
+    }
+
+    const updatedCollection = await collection.save();
+    res.json(updatedCollection);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error updating collection.' });
+  }
+};
+
+// @desc    Delete a collection and the bookmarks filed in it
+// @route   DELETE /api/collections/:id
+// @access  Private
+const deleteCollection = async(req, res) => {
+  try {
+    const collection = isValidId(req.params.id) ? await Collection.findOne({ _id: req.params.id, owner: req.user._id }) : null;
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found.' });
+    }
+
+    const bookmarks = await Bookmark.find({ bookmarkCollection: collection._id });
+    await Collection.deleteOne({ _id: collection._id });
+    await removeBookmarks(req.user._id, bookmarks);
+    res.json({ message: 'Collection removed.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error deleting collection.' });
+  }
+};
+
+// @desc    List the posts in a collection, newest first (your own, or anyone's shared collection)
+// @route   GET /api/collections/:id/items?limit=<n>&cursor=<nextCursor>
+// @access  Private
+const getCollectionItems = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const collection = isValidId(req.params.id) ? await Collection.findById(req.params.id).populate('owner', 'username profilePicture') : null;
+    const isOwner = collection && collection.owner._id.toString() === req.user._id.toString();
+    if (!collection || (!isOwner && collection.visibility !== 'shared')) {
+      return res.status(404).json({ message: 'Collection not found.' });
+    }
+
+    const bookmarks = await Bookmark.find({ bookmarkCollection: collection._id, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate({ path: 'post', match: { hidden: { $ne: true } }, populate: { path: 'user', select: 'username profilePicture' } });
+
+    const { items, nextCursor } = buildPage(bookmarks, limit);
+    const visibleItems = items
+      .filter(bookmark => bookmark.post)
+      .map(bookmark => {
+        const item = bookmark.toJSON();
+        if (!isOwner) {
+          delete item.note; // Notes are personal
+        }
+        return item;
+      });
+
+    res.json({ collection, items: visibleItems, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching collection.' });
+  }
+};
+
+export {
+  bookmarkPost,
+  unbookmarkPost,
+  getBookmarks,
+  updateBookmarkNote,
+  getCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getCollectionItems,
+};
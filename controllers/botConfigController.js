@@ -0,0 +1,234 @@
+// controllers/botConfigController.js - Admin management of posting bots (bot accounts and what they post)
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import BotConfig from '../models/BotConfig.js';
+import BotRun from '../models/BotRun.js';
+import User from '../models/User.js';
+import { getBotLeaseName, scheduleBot, unscheduleBot } from './botController.js';
+import { isAllowedFeedUrl } from '../services/botSources/rssSource.js';
+import { getLeases } from '../services/leaseLock.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+
+const BOT_TYPES = BotConfig.schema.path('type').enumValues;
+const STRING_FIELDS = ['schedule', 'feedUrl', 'query', 'category', 'language', 'country', 'timezone', 'titlePrefix', 'fallbackContent', 'defaultImageUrl'];
+const EDITABLE_FIELDS = ['type', 'postLimit', 'enabled', ...STRING_FIELDS];
+
+// Returns an error message for invalid bot settings, or null when the input is usable
+const validateBotInput = (input) => {
+  if (input.type !== undefined && !BOT_TYPES.includes(input.type)) {
+    return `type must be one of: ${BOT_TYPES.join(', ')}.`;
+  }
+  if (input.postLimit !== undefined && (!Number.isInteger(input.postLimit) || input.postLimit < 1 || input.postLimit > 10)) {
+    return 'postLimit must be a whole number from 1 to 10.';
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    return 'enabled must be true or false.';
+  }
+  const invalidField = STRING_FIELDS.find(field => input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string');
+  if (invalidField) {
+    return `${invalidField} must be a string or null.`;
+  }
+  if (input.schedule !== undefined && (!input.schedule || !cron.validate(input.schedule))) {
+    return 'schedule must be a valid cron expression (e.g., "*/40 * * * *").';
+  }
+  if (input.feedUrl && !isAllowedFeedUrl(input.feedUrl)) {
+    return 'feedUrl must be an http(s) URL.';
+  }
+  if (input.defaultImageUrl && !/^https?:\/\/\S+$/i.test(input.defaultImageUrl)) {
+    return 'defaultImageUrl must be an http(s) URL.';
+  }
+  return null;
+};
+
+// RSS bots cannot run without a feed
+const validateBotSettings = (bot) => {
+  return bot.type === 'rss' && !bot.feedUrl ? 'feedUrl is required for rss bots.' : null;
+};
+
+const pickBotSettings = (input) => {
+  return Object.fromEntries(EDITABLE_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+};
+
+/**
+ * Returns the bot account with this username, creating it if needed.
+ * New bot accounts get a placeholder address and a random password nobody knows: they never log in.
+ * @param {string} username - The bot's username.
+ * @returns {object} The bot user document.
+ * @throws {Error} If the username belongs to an account that is not a bot.
+ */
+const findOrCreateBotUser = async(username) => {
+  const existing = await User.findOne({ username });
+  if (existing) {
+    if (existing.getRole() !== 'bot') {
+      throw new Error(`User "${username}" exists and is not a bot.`);
+    }
+    return existing;
+  }
+
+  const user = new User({
+    username,
+    email: `${username.toLowerCase()}@bots.secondbrain.local`,
+    password: crypto.randomBytes(32).toString('hex'),
+    role: 'bot',
+    isBot: true,
+    emailVerified: true,
+  });
+  return user.save();
+};
+
+// @desc    List bots
+// @route   GET /api/admin/bots
+// @access  Private/Admin
+const getBots = async(req, res) => {
+  try {
+    const bots = await BotConfig.find({}).sort({ createdAt: 1 }).populate('user', 'username profilePicture banned');
+    res.json(bots);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching bots.' });
+  }
+};
+
+// @desc    Get a bot, with the lock its runs hold (lock.holder is the instance running it, or null)
+// @route   GET /api/admin/bots/:id
+// @access  Private/Admin
+const getBot = async(req, res) => {
+  try {
+    const bot = mongoose.Types.ObjectId.isValid(req.params.id) ?
+      await BotConfig.findById(req.params.id).populate('user', 'username profilePicture banned') :
+      null;
+    if (!bot) {
+      return res.status(404).json({ message: 'Bot not found.' });
+    }
+    const [lock] = await getLeases(getBotLeaseName(bot._id));
+    res.json({ ...bot.toJSON(), lock: lock || null });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching bot.' });
+  }
+};
+
+// @desc    Create a bot, creating its account unless a bot account with that username exists
+// @route   POST /api/admin/bots
+// @access  Private/Admin
+const createBot = async(req, res) => {
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+  if (!username) {
+    return res.status(400).json({ message: 'Bot username is required.' });
+  }
+  const validationError = validateBotInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const existingUser = await User.findOne({ username });
+    if (existingUser && existingUser.getRole() !== 'bot') {
+      return res.status(400).json({ message: 'This username belongs to an account that is not a bot.' });
+    }
+    if (existingUser && await BotConfig.exists({ user: existingUser._id })) {
+      return res.status(400).json({ message: 'A bot with this username already exists.' });
+    }
+
+    const settingsError = validateBotSettings({ type: 'news', ...pickBotSettings(req.body) });
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+
+    const user = existingUser || await findOrCreateBotUser(username);
+    const bot = await BotConfig.create({ ...pickBotSettings(req.body), user: user._id });
+    scheduleBot(bot);
+    await bot.populate('user', 'username profilePicture banned');
+    res.status(201).json(bot);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error creating bot.' });
+  }
+};
+
+// @desc    Change what a bot posts, or enable/disable it
+// @route   PUT /api/admin/bots/:id
+// @access  Private/Admin
+const updateBot = async(req, res) => {
+  const validationError = validateBotInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const bot = mongoose.Types.ObjectId.isValid(req.params.id) ? await BotConfig.findById(req.params.id) : null;
+    if (!bot) {
+      return res.status(404).json({ message: 'Bot not found.' });
+    }
+
+    bot.set(pickBotSettings(req.body));
+    const settingsError = validateBotSettings(bot);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+    const updatedBot = await bot.save();
+    scheduleBot(updatedBot); // Picks up schedule and enabled changes
+    await updatedBot.populate('user', 'username profilePicture banned');
+    res.json(updatedBot);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error updating bot.' });
+  }
+};
+
+// @desc    List a bot's runs, newest first
+// @route   GET /api/admin/bots/:id/runs?limit=<n>&cursor=<nextCursor>
+// @access  Private/Admin
+const getBotRuns = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const bot = mongoose.Types.ObjectId.isValid(req.params.id) ? await BotConfig.exists({ _id: req.params.id }) : null;
+    if (!bot) {
+      return res.status(404).json({ message: 'Bot not found.' });
+    }
+
+    const runs = await BotRun.find({ bot: bot._id, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = buildPage(runs, limit);
+    res.json({ runs: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching bot runs.' });
+  }
+};
+
+// @desc    Delete a bot's configuration (its account, posts and run history are kept)
+// @route   DELETE /api/admin/bots/:id
+// @access  Private/Admin
+const deleteBot = async(req, res) => {
+  try {
+    const bot = mongoose.Types.ObjectId.isValid(req.params.id) ? await BotConfig.findById(req.params.id) : null;
+    if (!bot) {
+      return res.status(404).json({ message: 'Bot not found.' });
+    }
+    await BotConfig.deleteOne({ _id: bot._id });
+    unscheduleBot(bot._id);
+    res.json({ message: 'Bot removed.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error deleting bot.' });
+  }
+};
+
+export {
+  findOrCreateBotUser,
+  getBots,
+  getBot,
+  createBot,
+  updateBot,
+  getBotRuns,
+  deleteBot,
+};
@@ -1,157 +1,31 @@
-// controllers/botController.js - Logic for server-side bot actions and automated news posting (Using Newsdata.io /latest endpoint)
+// controllers/botController.js - Logic for server-side bot actions and automated posting from the bot sources (Newsdata.io, ZenQuotes.io, RSS/Atom)
 import Post from '../models/Post.js';
-import User from '../models/User.js';
-import { v2 as cloudinary } from 'cloudinary';
+import BotConfig from '../models/BotConfig.js';
+import BotRun from '../models/BotRun.js';
+import cron from 'node-cron';
 import dotenv from 'dotenv';
-import { performAIAnalysisOnPost } from './aiController.js';
+import { enqueuePostAnalysis } from './aiController.js';
+import { parsePostContent } from '../utils/postContent.js';
+import { claimIngestedItem, completeIngestedItem, releaseIngestedItem } from '../services/newsDedupe.js';
+import { getBotSource } from '../services/botSources/index.js';
+import { QuotaExceededError } from '../services/quotaTracker.js';
+import { withLease } from '../services/leaseLock.js';
+import { rehostImage, deleteStoredImage } from '../services/mediaStorage.js';
 
 dotenv.config();
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Items requested from a source per run, so already posted ones can be replaced by new ones (Newsdata.io free tier max)
+const BOT_FETCH_SIZE = 10;
+// Timezone the bots' cron expressions are evaluated in
+const BOT_SCHEDULE_TIMEZONE = process.env.BOT_SCHEDULE_TIMEZONE || 'America/Chicago';
+// How often each instance re-reads the bots, picking up bots created or changed through another instance
+const BOT_SCHEDULE_SYNC_MS = parseInt(process.env.BOT_SCHEDULE_SYNC_MS) || 60 * 1000;
 
-const NEWSDATA_API_KEY = process.env.NEWSDATA_API_KEY;
-const NEWSDATA_API_BASE_URL = 'https://newsdata.io/api/1/latest';
-const ZENQUOTES_API_BASE_URL = 'https://zenquotes.io/api/quotes';
+const scheduledTasks = new Map(); // Key: BotConfig id, Value: { task, schedule } (the node-cron task and its expression)
+let scheduleSyncTimer = null;
 
-/**
- * Configuration for different bot users.
- * - query: Main search keyword for Newsdata.io.
- * - category: Newsdata.io category (e.g., 'sports', 'technology', 'entertainment').
- * - language: Language of articles (e.g., 'en').
- * - country: Specific country code (e.g., 'us', 'in').
- * - timezone: Timezone for 'pubDateTZ' parameter (e.g., 'America/Chicago').
- * - titlePrefix: A prefix for the post title.
- * - postLimit: The number of articles/quotes this bot will attempt to post per run (Newsdata.io free tier max size is 10).
- * - type: 'news' for Newsdata.io, 'quote' for ZenQuotes.io.
- */
-const botConfigurations = [
-  {
-    username: 'BreakingNewsBot',
-    query: 'top',
-    category: 'top',
-    language: 'en',
-    country: null,
-    timezone: null,
-    titlePrefix: '🚨 BREAKING NEWS:',
-    postLimit: 3, // Fetch and post up to 3 articles per run
-    type: 'news',
-  },
-  {
-    username: 'ExploreSports',
-    query: null,
-    category: 'sports',
-    language: 'en',
-    country: 'us',
-    timezone: 'America/New_York',
-    titlePrefix: '⚽ Sports Update:',
-    postLimit: 3, // Fetch and post up to 3 articles per run
-    type: 'news',
-  },
-  {
-    username: 'TechTrendsBot',
-    query: null,
-    category: 'technology',
-    language: 'en',
-    country: 'us',
-    timezone: 'America/Los_Angeles',
-    titlePrefix: '💻 Tech Trends:',
-    postLimit: 3, // Fetch and post up to 3 articles per run
-    type: 'news',
-  },
-  {
-    username: 'WeatherAlerts',
-    query: 'weather OR forecast',
-    category: null,
-    language: 'en',
-    country: 'us',
-    timezone: 'America/Chicago',
-    titlePrefix: '☁️ Weather Alert:',
-    postLimit: 3, // Fetch and post up to 3 articles per run
-    fallbackContent: 'No specific weather news right now, but always check your local forecast! Stay safe out there.',
-    type: 'news',
-  },
-  {
-    username: 'Entertainment', // NEW: Entertainment Bot
-    query: null,
-    category: 'entertainment',
-    language: 'en',
-    country: 'us',
-    timezone: 'America/New_York',
-    titlePrefix: '🎬 Entertainment Buzz:',
-    postLimit: 3, // Fetch and post up to 3 articles per run
-    type: 'news',
-  },
-  {
-    username: 'Motivation',
-    query: null,
-    category: null,
-    language: null,
-    country: null,
-    timezone: null,
-    titlePrefix: '✨ Daily Motivation:',
-    postLimit: 1, // Keep as 1 for quotes
-    type: 'quote',
-  },
-];
-
-const fetchNews = async({ query, category, language = 'en', country = null, timezone = null, pageSize = 5 }) => {
-  if (!NEWSDATA_API_KEY) {
-    console.error('ERROR: NEWSDATA_API_KEY is not set in .env. Cannot fetch news from Newsdata.io.');
-    return [];
-  }
-
-  const url = new URL(NEWSDATA_API_BASE_URL);
-  url.searchParams.append('apikey', NEWSDATA_API_KEY);
-  url.searchParams.append('language', language);
-  url.searchParams.append('size', pageSize); // Newsdata.io uses 'size' instead of 'pageSize'
-
-  if (query) {
-    url.searchParams.append('q', query);
-  }
-  if (category) {
-    url.searchParams.append('category', category);
-  }
-  if (country) {
-    url.searchParams.append('country', country);
-  }
-  if (timezone) {
-    url.searchParams.append('timezone', timezone);
-  }
-
-  try {
-    const response = await fetch(url.toString());
-    const data = await response.json();
-
-    if (data.status === 'success') {
-      return data.results;
-    } else {
-      console.error(`Newsdata.io API error for query "${query || category || 'latest'}" (status: ${data.status}):`, data.message);
-      return [];
-    }
-  } catch (error) {
-    console.error(`Error fetching news from Newsdata.io for query "${query || category || 'latest'}":`, error);
-    return [];
-  }
-};
-
-const fetchQuote = async() => {
-  try {
-    const response = await fetch(ZENQUOTES_API_BASE_URL);
-    const data = await response.json();
-    if (Array.isArray(data) && data.length > 0) {
-      return data[Math.floor(Math.random() * data.length)];
-    }
-    console.warn('No quotes received from ZenQuotes.io or unexpected format.');
-    return null;
-  } catch (error) {
-    console.error('Error fetching quote from ZenQuotes.io:', error);
-    return null;
-  }
-};
+// Lease that a bot's runs hold, on whichever instance they happen
+const getBotLeaseName = (botId) => `bot:${botId}`;
 
 const createBotPost = async(userId, content, imageUrl = null) => {
   try {
@@ -160,10 +34,13 @@ const createBotPost = async(userId, content, imageUrl = null) => {
       return null;
     }
 
+    const { hashtags, mentions } = await parsePostContent(content);
     const post = new Post({
       user: userId,
       content: content,
       image: imageUrl,
+      hashtags,
+      mentions,
       aiAnalysis: {
         sentiment: 'Unknown',
         emotions: [],
@@ -184,85 +61,259 @@ const createBotPost = async(userId, content, imageUrl = null) => {
   }
 };
 
-// Removed the 'delay' function as per user request to post frequently
-// const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-const fetchNewsAndPost = async() => {
-  console.log('\n--- Running fetchNewsAndPost cron job (Newsdata.io /latest & ZenQuotes.io) ---');
-
-  const bots = await User.find({ isBot: true });
+/**
+ * Copies the first image that can be downloaded into our storage, so bot posts never hotlink.
+ * @param {Array<string|null>} imageUrls - Candidates in order of preference (e.g., the item's image, then the bot's default).
+ * @param {object} botUser - The bot account, for logging.
+ * @returns {{ image: string|null, failed: number }} The stored image URL (null if none worked) and how many candidates failed.
+ */
+const rehostBotImage = async(imageUrls, botUser) => {
+  let failed = 0;
+  for (const imageUrl of imageUrls.filter(Boolean)) {
+    try {
+      return { image: await rehostImage(imageUrl, { prefix: 'bot' }), failed };
+    } catch (error) {
+      console.warn(`Could not rehost image ${imageUrl} for bot ${botUser.username}: ${error.message}`);
+      failed += 1;
+    }
+  }
+  return { image: null, failed };
+};
 
-  if (bots.length === 0) {
-    console.log('No bot users found in the database. Please ensure you have created users with isBot: true.');
-    return;
+// Posts with a rehosted image; the stored copy is deleted again if the post is not created
+const createBotPostWithImage = async(botUser, content, imageUrls, run) => {
+  const { image, failed } = await rehostBotImage(imageUrls, botUser);
+  run.imageFailures += failed;
+  const post = await createBotPost(botUser._id, content, image);
+  if (!post && image) {
+    await deleteStoredImage(image);
   }
+  return post;
+};
 
-  for (const botConfig of botConfigurations) {
-    const botUser = bots.find(b => b.username === botConfig.username);
+// Default post layout: prefixed title, summary and a link to the full article
+const formatItemContent = (item, { titlePrefix }) => {
+  return `**${titlePrefix}** ${item.title}\n\n` +
+    `${item.summary || 'No description available.'}\n\n` +
+    `Read more: ${item.link}`;
+};
 
-    if (!botUser) {
-      console.warn(`WARNING: Bot user "${botConfig.username}" not found in database. Skipping.`);
-      continue;
+/**
+ * Fetches content for one bot from its source and posts it, recording the run as a BotRun.
+ * With deduplicating sources (news, RSS), items already posted by any bot are skipped.
+ * Images are rehosted in our storage; when an item's image cannot be, the bot's default image (or none) is used.
+ * A run whose source is out of daily API quota is recorded as skipped without posting the fallback.
+ * @param {object} botConfig - BotConfig document with `user` populated.
+ * @param {object} [options] - { trigger: 'schedule' | 'manual' }
+ * @returns {object} The finished BotRun.
+ */
+const runBot = async(botConfig, { trigger = 'manual' } = {}) => {
+  const botUser = botConfig.user;
+  console.log(`Processing content for bot: ${botUser.username} (Type: ${botConfig.type})`);
+  const run = await BotRun.create({ bot: botConfig._id, trigger });
+  const stats = { apiCalls: 0 };
+
+  try {
+    const source = getBotSource(botConfig.type);
+    let items = [];
+    let quotaExceeded = false;
+    try {
+      items = await source.fetchItems(botConfig, { limit: BOT_FETCH_SIZE, stats });
+    } catch (error) {
+      quotaExceeded = error instanceof QuotaExceededError;
+      console.error(`Error fetching items for bot ${botUser.username}:`, error);
+      run.errorMessages.push(error.message);
     }
+    run.fetched = items.length;
 
-    // Removed random delay here to allow frequent posting
-    // console.log(`Delaying processing for ${botConfig.username} by ${Math.round(randomDelayMs / 1000)} seconds.`);
-    // await delay(randomDelayMs);
-
-    console.log(`Processing content for bot: ${botConfig.username} (Type: ${botConfig.type})`);
-    let postContent = '';
-    let imageUrl = null;
-
-    if (botConfig.type === 'news') {
-      let articles = await fetchNews({
-        query: botConfig.query,
-        category: botConfig.category,
-        language: botConfig.language,
-        country: botConfig.country,
-        timezone: botConfig.timezone,
-        pageSize: botConfig.postLimit,
-      });
-
-      articles = articles.filter(a => a.title && a.description && a.link).slice(0, botConfig.postLimit);
-
-      if (articles.length > 0) {
-        for (const article of articles) {
-          postContent = `**${botConfig.titlePrefix}** ${article.title}\n\n` +
-                              `${article.description || 'No description available.'}\n\n` +
-                              `Read more: ${article.link}`;
-          imageUrl = article.image_url || null;
-          const newBotPost = await createBotPost(botUser._id, postContent, imageUrl);
-          if (newBotPost) {
-            await performAIAnalysisOnPost(newBotPost._id);
-          }
+    for (const item of items) {
+      if (run.posted >= botConfig.postLimit) {
+        break;
+      }
+
+      let claim = null;
+      if (source.dedupe) {
+        const result = await claimIngestedItem({
+          link: item.link,
+          title: item.title,
+          description: item.summary,
+          source: item.source,
+        }, { bot: botConfig._id });
+        if (!result.claim) {
+          run.skipped[result.reason] += 1;
+          continue;
         }
-      } else if (botConfig.fallbackContent) {
-        console.log(`No suitable news articles found for ${botConfig.username}. Using fallback content.`);
-        const newBotPost = await createBotPost(botUser._id, botConfig.fallbackContent, botConfig.defaultImageUrl || null);
-        if (newBotPost) {
-          await performAIAnalysisOnPost(newBotPost._id);
+        claim = result.claim;
+      }
+
+      const postContent = source.formatContent ? source.formatContent(item, botConfig) : formatItemContent(item, botConfig);
+      const newBotPost = await createBotPostWithImage(botUser, postContent, [item.imageUrl, botConfig.defaultImageUrl], run);
+      if (newBotPost) {
+        if (claim) {
+          await completeIngestedItem(claim, newBotPost._id);
         }
-      } else {
-        console.log(`No suitable news articles or fallback content found for ${botConfig.username}. Skipping post for this run.`);
+        await enqueuePostAnalysis(newBotPost._id);
+        run.posted += 1;
+      } else if (claim) {
+        await releaseIngestedItem(claim);
       }
-    } else if (botConfig.type === 'quote') {
-      const quote = await fetchQuote();
-      if (quote && quote.q && quote.a) {
-        postContent = `**${botConfig.titlePrefix}** "${quote.q}"\n\n` +
-                      `— ${quote.a}`;
-        imageUrl = null;
-        const newBotPost = await createBotPost(botUser._id, postContent, imageUrl);
+    }
+
+    if (items.length === 0 && !quotaExceeded) {
+      if (botConfig.fallbackContent) {
+        console.log(`No suitable items found for ${botUser.username}. Using fallback content.`);
+        const newBotPost = await createBotPostWithImage(botUser, botConfig.fallbackContent, [botConfig.defaultImageUrl], run);
         if (newBotPost) {
-          await performAIAnalysisOnPost(newBotPost._id);
+          await enqueuePostAnalysis(newBotPost._id);
+          run.fallback = true;
         }
       } else {
-        console.log(`Failed to fetch a quote for ${botConfig.username}. Skipping post.`);
+        console.log(`No suitable items or fallback content found for ${botUser.username}. Skipping post for this run.`);
       }
+    }
+    if (quotaExceeded) {
+      run.status = 'skipped';
     } else {
-      console.warn(`WARNING: Unknown bot type "${botConfig.type}" for bot ${botConfig.username}. Skipping.`);
+      run.status = run.errorMessages.length > 0 ? 'failed' : 'succeeded';
     }
+  } catch (error) {
+    console.error(`ERROR: Bot ${botUser.username} failed:`, error);
+    run.errorMessages.push(error.message);
+    run.status = 'failed';
+  }
+
+  run.apiCalls = stats.apiCalls;
+  run.finishedAt = new Date();
+  await run.save();
+
+  const { link, fingerprint, similarTitle } = run.skipped;
+  console.log(`Bot ${botUser.username}: ${run.fetched} fetched, ${run.posted} new, ${link + fingerprint + similarTitle} skipped as already posted, ${run.apiCalls} API calls.`);
+  return run;
+};
+
+// Loads a bot for a run; disabled bots and bots whose account is missing or banned are not run
+const loadRunnableBot = async(botId) => {
+  const botConfig = await BotConfig.findById(botId).populate('user');
+  if (!botConfig || !botConfig.enabled) {
+    return null;
+  }
+  if (!botConfig.user || botConfig.user.banned) {
+    console.warn(`WARNING: Account of bot ${botId} is missing or banned. Skipping.`);
+    return null;
+  }
+  return botConfig;
+};
+
+/**
+ * Runs a bot while holding its lease, so it never runs twice at once, in this instance or any other.
+ * @param {string} botId - The BotConfig id.
+ * @param {object} options - { trigger, occurrence } where occurrence is the scheduled time of a scheduled run.
+ * @returns {object|null} The BotRun, or null if the bot did not run (lease taken, occurrence already run, or not runnable).
+ */
+const runBotExclusively = async(botId, { trigger, occurrence = null }) => {
+  const { acquired, result } = await withLease(getBotLeaseName(botId), async() => {
+    const botConfig = await loadRunnableBot(botId);
+    return botConfig ? runBot(botConfig, { trigger }) : null;
+  }, { occurrence });
+  if (!acquired) {
+    console.log(`Bot ${botId} is running elsewhere${occurrence ? ' or already ran this occurrence' : ''}. Skipping this run.`);
+  }
+  return result;
+};
+
+/**
+ * Runs every enabled bot now (manual trigger); the configurations are re-read from the database.
+ * @returns {Array} The BotRun of each bot that ran.
+ */
+const fetchNewsAndPost = async() => {
+  console.log('\n--- Running all enabled bots ---');
+
+  const botConfigs = await BotConfig.find({ enabled: true }).sort({ createdAt: 1 }).select('_id');
+
+  if (botConfigs.length === 0) {
+    console.log('No enabled bots found. Create them with POST /api/admin/bots or npm run seed:bots.');
+    return [];
+  }
+
+  const runs = [];
+  for (const { _id } of botConfigs) {
+    const run = await runBotExclusively(_id.toString(), { trigger: 'manual' });
+    if (run) {
+      runs.push(run);
+    }
+  }
+
+  const posted = runs.reduce((sum, run) => sum + run.posted, 0);
+  console.log(`--- Finished running bots: ${runs.length} runs, ${posted} new posts ---`);
+  return runs;
+};
+
+// Stops a bot's schedule in this process
+const unscheduleBot = (botId) => {
+  const scheduled = scheduledTasks.get(botId.toString());
+  if (scheduled) {
+    scheduled.task.destroy();
+    scheduledTasks.delete(botId.toString());
+  }
+};
+
+/**
+ * (Re)schedules a bot on its own cron expression; disabled bots are unscheduled.
+ * Call after a bot is created or its settings change.
+ * @param {object} botConfig - The BotConfig document.
+ */
+const scheduleBot = (botConfig) => {
+  const botId = botConfig._id.toString();
+  unscheduleBot(botId);
+  if (!botConfig.enabled) {
+    return;
+  }
+
+  // Every replica fires each occurrence; the lease lets only the first one run it
+  const task = cron.schedule(botConfig.schedule, async(context) => {
+    try {
+      await runBotExclusively(botId, { trigger: 'schedule', occurrence: context.date });
+    } catch (error) {
+      console.error(`Error in scheduled run of bot ${botId}:`, error);
+    }
+  }, { timezone: BOT_SCHEDULE_TIMEZONE, name: `bot-${botId}` });
+  scheduledTasks.set(botId, { task, schedule: botConfig.schedule });
+};
+
+/**
+ * Makes this instance's schedules match the database: new and re-timed bots are (re)scheduled,
+ * disabled and deleted ones unscheduled. The admin API reschedules its own instance at once; the others catch up here.
+ * @returns {number} How many bots are scheduled.
+ */
+const syncBotSchedules = async() => {
+  const botConfigs = await BotConfig.find({ enabled: true }).select('_id schedule enabled');
+  const enabledIds = new Set(botConfigs.map(botConfig => botConfig._id.toString()));
+
+  for (const botId of Array.from(scheduledTasks.keys())) {
+    if (!enabledIds.has(botId)) {
+      unscheduleBot(botId);
+    }
+  }
+  for (const botConfig of botConfigs) {
+    const scheduled = scheduledTasks.get(botConfig._id.toString());
+    if (!scheduled || scheduled.schedule !== botConfig.schedule) {
+      scheduleBot(botConfig);
+    }
+  }
+  return scheduledTasks.size;
+};
+
+// Schedules every enabled bot and keeps the schedules in sync; called once at startup.
+// The periodic sync starts first, so a failed first load (e.g. MongoDB not ready yet) is retried on the next tick.
+const startBotScheduler = async() => {
+  if (!scheduleSyncTimer) {
+    scheduleSyncTimer = setInterval(() => {
+      syncBotSchedules().catch(error => console.error('Error syncing bot schedules:', error));
+    }, BOT_SCHEDULE_SYNC_MS);
+    scheduleSyncTimer.unref();
   }
-  console.log('--- Finished fetchNewsAndPost cron job ---');
+  const count = await syncBotSchedules();
+  console.log(`Bot scheduler started with ${count} bots.`);
 };
 
-export { fetchNewsAndPost };
+export { getBotLeaseName, fetchNewsAndPost, scheduleBot, unscheduleBot, startBotScheduler };
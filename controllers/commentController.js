@@ -0,0 +1,253 @@
+// controllers/commentController.js - Threaded comments on posts (create, list, edit, delete, like)
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import Post from '../models/Post.js';
+import { createNotification } from './notificationController.js';
+import { canViewPost, resolveRepost } from './postController.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Loads the post from :id if the current user may see it; comments on a plain repost belong to the shared post
+const findVisiblePost = async(req) => {
+  const found = isValidId(req.params.id) ? await Post.findById(req.params.id) : null;
+  const post = found && canViewPost(found, req.user) ? await resolveRepost(found) : null;
+  return post && canViewPost(post, req.user) ? post : null;
+};
+
+// Loads the comment from :commentId if it belongs to the post and isn't hidden
+const findPostComment = async(post, commentId) => {
+  if (!isValidId(commentId)) {
+    return null;
+  }
+  return Comment.findOne({ _id: commentId, post: post._id, hidden: { $ne: true } });
+};
+
+/**
+ * Deletes a comment together with all replies below it and updates the counters.
+ * Shared by author deletion and moderator removal.
+ * @param {object} comment - The comment document.
+ * @returns {number} How many comments were deleted.
+ */
+const removeComment = async(comment) => {
+  const ids = [comment._id];
+  let frontier = [comment._id];
+  while (frontier.length > 0) {
+    const replies = await Comment.find({ parentComment: { $in: frontier } }).select('_id').lean();
+    frontier = replies.map(reply => reply._id);
+    ids.push(...frontier);
+  }
+
+  const { deletedCount } = await Comment.deleteMany({ _id: { $in: ids } });
+  await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -deletedCount } });
+  if (comment.parentComment) {
+    await Comment.updateOne({ _id: comment.parentComment }, { $inc: { replyCount: -1 } });
+  }
+  return deletedCount;
+};
+
+// @desc    Add a comment to a post, or a reply to one of its comments
+// @route   POST /api/posts/:id/comments (also POST /api/posts/:id/comment)
+// @access  Private
+const addComment = async(req, res) => {
+  const { text, parentComment } = req.body;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ message: 'Comment text is required.' });
+  }
+
+  try {
+    const post = await findVisiblePost(req);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+
+    let parent = null;
+    if (parentComment) {
+      parent = await findPostComment(post, parentComment);
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent comment not found.' });
+      }
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      user: req.user._id,
+      parentComment: parent ? parent._id : null,
+      text,
+    });
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+      await createNotification({
+        recipient: parent.user, // The author of the comment being replied to
+        type: 'reply',
+        initiator: req.user._id,
+        post: post._id,
+        comment: comment._id,
+        message: `${req.user.username} replied to your comment: "${text.substring(0, 30)}..."`,
+      });
+    }
+
+    // The post owner hears about every comment, unless the reply notification already reached them
+    if (!parent || parent.user.toString() !== post.user.toString()) {
+      await createNotification({
+        recipient: post.user, // The owner of the post
+        type: 'comment',
+        initiator: req.user._id, // The user who commented
+        post: post._id,
+        comment: comment._id,
+        message: `${req.user.username} commented on your post: "${text.substring(0, 30)}..."`,
+      });
+    }
+
+    await comment.populate('user', 'username profilePicture');
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// @desc    Get a post's top-level comments, or the replies to one comment, newest first
+// @route   GET /api/posts/:id/comments?parent=<commentId>&limit=<n>&cursor=<nextCursor>
+// @access  Private
+const getComments = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+  if (req.query.parent && !isValidId(req.query.parent)) {
+    return res.status(404).json({ message: 'Parent comment not found.' });
+  }
+
+  try {
+    const post = await findVisiblePost(req);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+
+    // Comments hidden by moderators are never sent to clients
+    const comments = await Comment.find({
+      post: post._id,
+      parentComment: req.query.parent || null,
+      hidden: { $ne: true },
+      ...cursorFilter,
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('user', 'username profilePicture');
+
+    const { items, nextCursor } = buildPage(comments, limit);
+    res.json({ comments: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching comments.' });
+  }
+};
+
+// @desc    Edit a comment (author only)
+// @route   PUT /api/posts/:id/comments/:commentId
+// @access  Private
+const updateComment = async(req, res) => {
+  const { text } = req.body;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ message: 'Comment text is required.' });
+  }
+
+  try {
+    const post = await findVisiblePost(req);
+    const comment = post ? await findPostComment(post, req.params.commentId) : null;
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found.' });
+    }
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ message: 'Not authorized to edit this comment.' });
+    }
+
+    comment.text = text;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('user', 'username profilePicture');
+
+    res.json(comment);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// @desc    Delete a comment and its replies (comment author or post owner)
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private
+const deleteComment = async(req, res) => {
+  try {
+    const post = await findVisiblePost(req);
+    const comment = post ? await findPostComment(post, req.params.commentId) : null;
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found.' });
+    }
+
+    const userId = req.user._id.toString();
+    if (comment.user.toString() !== userId && post.user.toString() !== userId) {
+      return res.status(401).json({ message: 'Not authorized to delete this comment.' });
+    }
+
+    const deletedCount = await removeComment(comment);
+    res.json({ message: 'Comment removed.', deletedCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// @desc    Toggle like/unlike on a comment
+// @route   PUT /api/posts/:id/comments/:commentId/like
+// @access  Private
+const likeComment = async(req, res) => {
+  try {
+    const post = await findVisiblePost(req);
+    const comment = post ? await findPostComment(post, req.params.commentId) : null;
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found.' });
+    }
+
+    const userId = req.user._id.toString();
+    const isLiked = comment.likes.some(like => like.toString() === userId);
+
+    if (isLiked) {
+      comment.likes = comment.likes.filter(like => like.toString() !== userId);
+      await comment.save();
+      return res.json({ message: 'Comment unliked.', comment });
+    }
+
+    comment.likes.push(req.user._id);
+    await comment.save();
+
+    await createNotification({
+      recipient: comment.user, // The author of the comment
+      type: 'like',
+      initiator: req.user._id,
+      post: post._id,
+      comment: comment._id,
+      message: `${req.user.username} liked your comment: "${comment.text.substring(0, 30)}..."`,
+    });
+
+    res.json({ message: 'Comment liked.', comment });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+export {
+  removeComment,
+  addComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  likeComment,
+};
@@ -1,32 +1,141 @@
 // controllers/notificationController.js - Logic for notification management
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+import { publish, subscribe } from '../services/pubsub/index.js';
+import { isSessionActive } from '../services/sessions.js';
 
-const createNotification = async({ recipient, type, initiator, post, message }) => {
+dotenv.config();
+
+// Comment lines keep idle streams open through proxies; each one also re-checks the session
+const NOTIFICATION_STREAM_HEARTBEAT_MS = parseInt(process.env.NOTIFICATION_STREAM_HEARTBEAT_MS) || 25 * 1000;
+// Notifications replayed to a reconnecting stream (Last-Event-ID) at most
+const NOTIFICATION_STREAM_REPLAY_LIMIT = 50;
+
+// Unread like/comment/follow notifications about the same thing within this window are grouped into one
+const NOTIFICATION_GROUP_WINDOW_HOURS = parseFloat(process.env.NOTIFICATION_GROUP_WINDOW_HOURS) || 24;
+const GROUPED_NOTIFICATION_TYPES = ['like', 'comment', 'follow'];
+// Grouped notifications keep the latest initiators only; `count` keeps counting
+const NOTIFICATION_GROUP_MAX_INITIATORS = 10;
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Each user's stream listens on its own channel
+const getNotificationChannel = (userId) => `notifications:${userId}`;
+
+const NOTIFICATION_POPULATE = [
+  { path: 'initiator', select: 'username profilePicture' },
+  { path: 'initiators', select: 'username profilePicture' },
+  { path: 'post', select: 'content' },
+];
+
+// For queries only: Document#populate returns a promise, so documents use notification.populate(NOTIFICATION_POPULATE)
+const populateNotification = (query) => query.populate(NOTIFICATION_POPULATE);
+
+// "X liked your post" -> "X and 4 others liked your post" (messages start with the initiator's username)
+const buildGroupedMessage = (message, username, count) => {
+  const others = count - 1;
+  if (others < 1 || !message.startsWith(username)) {
+    return message;
+  }
+  return `${username} and ${others} ${others === 1 ? 'other' : 'others'}${message.slice(username.length)}`;
+};
+
+// Tells the user's open streams their current unread count
+const publishUnreadCount = async(userId) => {
+  const count = await Notification.countDocuments({ recipient: userId, read: false });
+  await publish(getNotificationChannel(userId), { event: 'unreadCount', data: { count } });
+};
+
+/**
+ * Notifies a user, unless they did it themselves or muted the type.
+ * Like/comment/follow notifications join an unread notification about the same post (or liked comment;
+ * comments group per post) from the last NOTIFICATION_GROUP_WINDOW_HOURS: the group is re-created as a new notification so
+ * it moves to the top, and stream clients are told which one it replaces.
+ * Errors are logged, never thrown: a failed notification must not fail the action that caused it.
+ */
+const createNotification = async({ recipient, type, initiator, post, comment = null, message }) => {
   try {
     if (recipient.toString() === initiator.toString()) return;
 
+    if (await User.exists({ _id: recipient, 'notificationSettings.mutedTypes': type })) {
+      return;
+    }
+
+    let group = null;
+    if (GROUPED_NOTIFICATION_TYPES.includes(type)) {
+      const groupFilter = {
+        recipient,
+        type,
+        post: post || null,
+        read: false,
+        createdAt: { $gte: new Date(Date.now() - NOTIFICATION_GROUP_WINDOW_HOURS * 60 * 60 * 1000) },
+      };
+      // Every comment is new, so comment notifications group per post; likes group per post or per liked comment
+      if (type !== 'comment') {
+        groupFilter.comment = comment;
+      }
+      group = await Notification.findOne(groupFilter).sort({ createdAt: -1 }).select('+actors');
+    }
+
+    const isInitiator = (id) => id.toString() === initiator.toString();
+    const previousInitiators = group ? (group.initiators.length > 0 ? group.initiators : [group.initiator]) : [];
+    const initiators = [initiator, ...previousInitiators.filter(id => !isInitiator(id))]
+      .slice(0, NOTIFICATION_GROUP_MAX_INITIATORS);
+    // Someone liking, unliking and liking again is still one person, however many others acted since
+    const previousActors = group ? (group.actors.length > 0 ? group.actors : previousInitiators) : [];
+    const actors = [initiator, ...previousActors.filter(id => !isInitiator(id))];
+    const count = group && group.actors.length === 0 ?
+      group.count + (previousInitiators.some(isInitiator) ? 0 : 1) : // Group from before actors were stored
+      actors.length;
+
     const notification = new Notification({
       recipient,
       type,
       initiator,
+      initiators,
+      actors,
+      count,
       post,
+      comment,
       message,
     });
+    await notification.populate(NOTIFICATION_POPULATE);
+    if (count > 1 && notification.initiator) {
+      notification.message = buildGroupedMessage(message, notification.initiator.username, count);
+    }
     await notification.save();
-    console.log(`Notification created for ${recipient}: ${message}`);
+    if (group) {
+      await Notification.deleteOne({ _id: group._id });
+    }
+    console.log(`Notification created for ${recipient}: ${notification.message}`);
+
+    const data = { ...notification.toJSON(), replaces: group ? group._id : null };
+    delete data.actors; // Internal, like in listings (select: false)
+    await publish(getNotificationChannel(recipient), { event: 'notification', id: notification._id.toString(), data });
+    await publishUnreadCount(recipient);
   } catch (error) {
     console.error('Error creating notification:', error);
   }
 };
 
+// Newest first, paginated with ?limit=<n>&cursor=<nextCursor>
 const getNotifications = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
   try {
-    const notifications = await Notification.find({ recipient: req.user._id })
-      .populate('initiator', 'username profilePicture')
-      .populate('post', 'content')
-      .sort({ createdAt: -1 });
+    const notifications = await populateNotification(Notification.find({ recipient: req.user._id, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1));
 
-    res.json(notifications);
+    const { items, nextCursor } = buildPage(notifications, limit);
+    res.json({ notifications: items, nextCursor });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error fetching notifications.' });
@@ -46,7 +155,9 @@ const markNotificationAsRead = async(req, res) => {
     }
 
     notification.read = true;
+    notification.readAt = new Date();
     await notification.save();
+    await publishUnreadCount(req.user._id);
 
     res.json({ message: 'Notification marked as read.', notification });
   } catch (error) {
@@ -59,8 +170,9 @@ const markAllNotificationsAsRead = async(req, res) => {
   try {
     await Notification.updateMany(
       { recipient: req.user._id, read: false },
-      { $set: { read: true } },
+      { $set: { read: true, readAt: new Date() } },
     );
+    await publishUnreadCount(req.user._id);
 
     res.json({ message: 'All notifications marked as read.' });
   } catch (error) {
@@ -69,9 +181,135 @@ const markAllNotificationsAsRead = async(req, res) => {
   }
 };
 
+// @desc    Get how many of your notifications are unread
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async(req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, read: false });
+    res.json({ count });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error counting notifications.' });
+  }
+};
+
+// @desc    Delete one of your notifications
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async(req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id) ? await Notification.findById(req.params.id) : null;
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found.' });
+    }
+    if (notification.recipient.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ message: 'Not authorized to delete this notification.' });
+    }
+
+    await Notification.deleteOne({ _id: notification._id });
+    if (!notification.read) {
+      await publishUnreadCount(req.user._id);
+    }
+    res.json({ message: 'Notification removed.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error deleting notification.' });
+  }
+};
+
+// @desc    Get your notification settings
+// @route   GET /api/notifications/settings
+// @access  Private
+const getNotificationSettings = async(req, res) => {
+  res.json({ mutedTypes: req.user.notificationSettings.mutedTypes, types: NOTIFICATION_TYPES });
+};
+
+// @desc    Choose which notification types you do not want to receive
+// @route   PUT /api/notifications/settings
+// @access  Private
+const updateNotificationSettings = async(req, res) => {
+  const { mutedTypes } = req.body;
+  if (!Array.isArray(mutedTypes) || mutedTypes.some(type => !NOTIFICATION_TYPES.includes(type))) {
+    return res.status(400).json({ message: `mutedTypes must be a list of: ${NOTIFICATION_TYPES.join(', ')}.` });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    user.notificationSettings.mutedTypes = Array.from(new Set(mutedTypes));
+    await user.save();
+    res.json({ mutedTypes: user.notificationSettings.mutedTypes, types: NOTIFICATION_TYPES });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error updating notification settings.' });
+  }
+};
+
+// @desc    Server-Sent Events stream of new notifications ('notification') and unread count changes ('unreadCount')
+// @route   GET /api/notifications/stream (token in the Authorization header or ?token=, for EventSource)
+// @access  Private
+const streamNotifications = async(req, res) => {
+  const userId = req.user._id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering events
+  });
+  res.flushHeaders();
+
+  const send = ({ event, id, data }) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe first so nothing created while catching up is missed
+  const unsubscribe = subscribe(getNotificationChannel(userId), send);
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', close);
+
+  heartbeat = setInterval(async() => {
+    try {
+      if (!(await isSessionActive(req.sessionId))) {
+        close();
+        res.end(); // Logged out or revoked since the stream was opened
+        return;
+      }
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      console.error('Error checking notification stream session:', error);
+    }
+  }, NOTIFICATION_STREAM_HEARTBEAT_MS);
+
+  try {
+    // EventSource reconnects with the id of the last event it received: replay what was missed
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+      const missed = await populateNotification(Notification.find({ recipient: userId, _id: { $gt: lastEventId } })
+        .sort({ _id: 1 })
+        .limit(NOTIFICATION_STREAM_REPLAY_LIMIT));
+      missed.forEach(notification => send({ event: 'notification', id: notification._id.toString(), data: notification }));
+    }
+
+    const count = await Notification.countDocuments({ recipient: userId, read: false });
+    send({ event: 'unreadCount', data: { count } });
+  } catch (error) {
+    console.error('Error starting notification stream:', error);
+  }
+};
+
 export {
   createNotification,
   getNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
+  getUnreadCount,
+  deleteNotification,
+  getNotificationSettings,
+  updateNotificationSettings,
+  streamNotifications,
 };
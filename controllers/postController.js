@@ -1,35 +1,63 @@
 // controllers/postController.js - Post-related logic
+import mongoose from 'mongoose';
 import Post from '../models/Post.js';
+import PostRevision from '../models/PostRevision.js';
+import Comment from '../models/Comment.js';
+import Bookmark from '../models/Bookmark.js';
+import Collection from '../models/Collection.js';
 import User from '../models/User.js'; // Import User model to update preferences and fetch user data for feed
 import { createNotification } from './notificationController.js'; // NEW: Import createNotification
-import { v2 as cloudinary } from 'cloudinary';
-// @desc    Create a new post
-// @route   POST /api/posts
-// @access  Private
+import { enqueuePostAnalysis } from './aiController.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+import { getRankingProfileForUser, getRankedFeedPage } from '../services/feedRanking.js';
+import { adjustUserPreferences } from '../utils/preferences.js';
+import { normalizeHashtag, parsePostContent } from '../utils/postContent.js';
+import { getPostVector, removePostVectors, findNearestPosts } from '../services/vectorIndex.js';
+import { deleteStoredImage } from '../services/mediaStorage.js';
+
+// aiAnalysis of a post until the background analysis job has run
+const PENDING_AI_ANALYSIS = {
+  sentiment: 'Unknown',
+  emotions: [],
+  toxicity: { detected: false, details: {} },
+  topics: [],
+  summary: '',
+  category: 'Uncategorized',
+};
 
-// NEW: Configure Cloudinary (needs to be done in each file that uses Cloudinary directly)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// NEW: Helper function to extract public ID from Cloudinary URL
-const getCloudinaryPublicId = (imageUrl) => {
-  if (!imageUrl || !imageUrl.includes('res.cloudinary.com')) {
-    return null; // Not a Cloudinary URL
-  }
-  // Example URL: https://res.cloudinary.com/cloud_name/image/upload/v12345/folder/public_id.png
-  // We need to extract 'folder/public_id' part
-  const parts = imageUrl.split('/');
-  const uploadIndex = parts.indexOf('upload');
-  if (uploadIndex === -1 || uploadIndex + 1 >= parts.length) {
-    return null; // Invalid Cloudinary URL structure
+// Listings show the shared post of reposts and quotes (unless a moderator hid it)
+const REPOST_POPULATE = {
+  path: 'repostOf',
+  match: { hidden: { $ne: true } },
+  populate: { path: 'user', select: 'username profilePicture' },
+};
+
+// A plain repost only shares another post; quote posts have their own content
+const isPlainRepost = (post) => Boolean(post.repostOf) && !post.content;
+
+/**
+ * Likes, comments and bookmarks on a plain repost go to the post it shares.
+ * @param {object} post - The post document.
+ * @returns {object|null} The shared post for plain reposts (null if it is gone), otherwise the post itself.
+ */
+const resolveRepost = async(post) => {
+  return isPlainRepost(post) ? Post.findById(post.repostOf) : post;
+};
+
+// Notifies users mentioned in a post, skipping those who were already notified for it
+const notifyMentionedUsers = async(post, initiator, alreadyMentioned = []) => {
+  const notified = new Set(alreadyMentioned.map(id => id.toString()));
+  for (const userId of post.mentions) {
+    if (!notified.has(userId.toString())) {
+      await createNotification({
+        recipient: userId,
+        type: 'mention',
+        initiator: initiator._id,
+        post: post._id,
+        message: `${initiator.username} mentioned you in a post: "${post.content.substring(0, 30)}..."`,
+      });
+    }
   }
-  // The public_id is usually everything after 'upload/' and version, up to the file extension
-  // It includes folder path if any. Remove the file extension for deletion.
-  const publicIdWithExt = parts.slice(uploadIndex + 2).join('/'); // Skip 'upload' and 'version'
-  return publicIdWithExt.split('.')[0]; // Get public ID without extension
 };
 
 const createPost = async(req, res) => {
@@ -49,21 +77,19 @@ const createPost = async(req, res) => {
   }
 
   try {
+    const { hashtags, mentions } = await parsePostContent(content);
     const post = new Post({
       user: req.user._id,
       content,
       image: imageUrl, // Save the Cloudinary URL (will be null if no file or upload failed)
-      aiAnalysis: {
-        sentiment: 'Unknown',
-        emotions: [],
-        toxicity: { detected: false, details: {} },
-        topics: [],
-        summary: '',
-        category: 'Uncategorized',
-      },
+      hashtags,
+      mentions,
+      aiAnalysis: PENDING_AI_ANALYSIS,
     });
 
     const createdPost = await post.save();
+    await enqueuePostAnalysis(createdPost._id); // aiAnalysis is filled in by the background job worker
+    await notifyMentionedUsers(createdPost, req.user);
     res.status(201).json(createdPost); // This should now include the image if imageUrl was set
   } catch (error) {
     console.error('Error in createPost:', error); // Log the specific error
@@ -76,24 +102,40 @@ const createPost = async(req, res) => {
   }
 };
 
-// @desc    Get all posts (global feed)
-// @route   GET /api/posts
+// @desc    Get all posts (global feed), newest first, one page at a time
+// @route   GET /api/posts?limit=<n>&cursor=<nextCursor>
 // @access  Private
 const getAllPosts = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
   try {
     // Populate the user field to get username and profilePicture
-    // Also populate comments.user and include aiAnalysis
-    const posts = await Post.find({})
+    // Comments are fetched separately (GET /api/posts/:id/comments); posts carry commentCount
+    const posts = await Post.find({ hidden: { $ne: true }, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 }) // Latest posts first, _id breaks ties
+      .limit(limit + 1) // One extra to know whether there is a next page
       .populate('user', 'username profilePicture')
-      .populate('comments.user', 'username profilePicture')
-      .sort({ createdAt: -1 }); // Latest posts first
-    res.json(posts);
+      .populate(REPOST_POPULATE);
+
+    const { items, nextCursor } = buildPage(posts, limit);
+    res.json({ posts: items, nextCursor });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error.' });
   }
 };
 
+// Hidden posts stay visible to their author and to moderators
+const canViewPost = (post, user) => {
+  const authorId = post.user._id ? post.user._id : post.user;
+  return !post.hidden || authorId.toString() === user._id.toString() ||
+    ['admin', 'moderator'].includes(user.getRole());
+};
+
 // @desc    Get a single post by ID
 // @route   GET /api/posts/:id
 // @access  Private
@@ -101,9 +143,9 @@ const getPostById = async(req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('user', 'username profilePicture')
-      .populate('comments.user', 'username profilePicture');
+      .populate(REPOST_POPULATE);
 
-    if (post) {
+    if (post && canViewPost(post, req.user)) {
       res.json(post);
     } else {
       res.status(404).json({ message: 'Post not found.' });
@@ -114,6 +156,39 @@ const getPostById = async(req, res) => {
   }
 };
 
+/**
+ * Deletes a post with its comments, bookmarks, embedding, revisions, plain reposts and every Cloudinary image they reference.
+ * Shared by owner deletion and moderator removal.
+ * @param {object} post - The post document.
+ */
+const removePost = async(post) => {
+  // Plain reposts of this post go with it; quote posts keep their commentary and are marked
+  const plainReposts = await Post.find({ repostOf: post._id, content: null });
+  for (const repost of plainReposts) {
+    await removePost(repost);
+  }
+  await Post.updateMany({ repostOf: post._id }, { $set: { repostOf: null, originalRemoved: true } });
+  if (post.repostOf) {
+    await Post.updateOne({ _id: post.repostOf }, { $inc: { repostCount: -1 } });
+  }
+
+  const revisions = await PostRevision.find({ post: post._id }).select('image');
+  const images = new Set([post.image, ...revisions.map(revision => revision.image)].filter(Boolean));
+
+  // Delete images from our storage (bot images are rehosted there too); failures don't stop the post deletion
+  for (const image of images) {
+    await deleteStoredImage(image);
+  }
+
+  await Comment.deleteMany({ post: post._id });
+  const bookmarkedCollections = await Bookmark.find({ post: post._id, bookmarkCollection: { $ne: null } }).distinct('bookmarkCollection');
+  await Collection.updateMany({ _id: { $in: bookmarkedCollections } }, { $inc: { itemCount: -1 } });
+  await Bookmark.deleteMany({ post: post._id });
+  await removePostVectors([post._id]);
+  await PostRevision.deleteMany({ post: post._id });
+  await Post.deleteOne({ _id: post._id });
+};
+
 // @desc    Delete a post
 // @route   DELETE /api/posts/:id
 // @access  Private
@@ -127,21 +202,7 @@ const deletePost = async(req, res) => {
         return res.status(401).json({ message: 'Not authorized to delete this post.' });
       }
 
-      // NEW: Delete image from Cloudinary if it exists
-      if (post.image) {
-        const publicId = getCloudinaryPublicId(post.image);
-        if (publicId) {
-          try {
-            await cloudinary.uploader.destroy(publicId);
-            console.log(`Cloudinary image deleted: ${publicId}`);
-          } catch (cloudinaryError) {
-            console.error(`Failed to delete image ${publicId} from Cloudinary:`, cloudinaryError);
-            // Continue with post deletion even if image deletion fails, as post is primary data
-          }
-        }
-      }
-
-      await Post.deleteOne({ _id: req.params.id });
+      await removePost(post);
       res.json({ message: 'Post removed.' });
     } else {
       res.status(404).json({ message: 'Post not found.' });
@@ -152,12 +213,227 @@ const deletePost = async(req, res) => {
   }
 };
 
+// @desc    Edit a post's content and/or image (owner only); the previous version is kept as a revision
+// @route   PUT /api/posts/:id
+// @access  Private
+const updatePost = async(req, res) => {
+  const { content, removeImage } = req.body;
+  // A newly uploaded image replaces the old one; removeImage=true drops it
+  const newImageUrl = req.file ? req.file.path : undefined;
+  let saved = false;
+
+  // The image is uploaded before the edit is checked: a rejected edit must not leave it in storage
+  const reject = async(status, message) => {
+    if (newImageUrl) {
+      await deleteStoredImage(newImageUrl);
+    }
+    return res.status(status).json({ message });
+  };
+
+  try {
+    if (content !== undefined && typeof content !== 'string') {
+      return reject(400, 'Post content must be a string.');
+    }
+    if (content !== undefined && !content.trim()) {
+      return reject(400, 'Post content is required.');
+    }
+
+    const post = mongoose.Types.ObjectId.isValid(req.params.id) ? await Post.findById(req.params.id) : null;
+
+    if (!post) {
+      return reject(404, 'Post not found.');
+    }
+    if (post.user.toString() !== req.user._id.toString()) {
+      return reject(401, 'Not authorized to edit this post.');
+    }
+    if (isPlainRepost(post)) {
+      return reject(400, 'Reposts cannot be edited.');
+    }
+
+    const contentChanged = content !== undefined && content !== post.content;
+    const nextImage = newImageUrl !== undefined ? newImageUrl : (removeImage === 'true' || removeImage === true ? null : post.image);
+    const imageChanged = (nextImage || null) !== (post.image || null);
+
+    if (!contentChanged && !imageChanged) {
+      return reject(400, 'Nothing to update.');
+    }
+
+    // Old images stay in storage while a revision references them; removePost cleans them up
+    await PostRevision.create({
+      post: post._id,
+      content: post.content,
+      image: post.image,
+      publishedAt: post.editedAt || post.createdAt,
+    });
+
+    const previousMentions = [...post.mentions];
+    if (contentChanged) {
+      const { hashtags, mentions } = await parsePostContent(content);
+      post.content = content;
+      post.hashtags = hashtags;
+      post.mentions = mentions;
+    }
+    post.image = nextImage;
+    post.editedAt = new Date();
+    const updatedPost = await post.save();
+    saved = true;
+    // Only users newly mentioned by the edit are notified
+    await notifyMentionedUsers(updatedPost, req.user, previousMentions);
+
+    // Analysis only depends on the text; the job reconciles likers' preferences if category/topics change
+    if (contentChanged) {
+      await enqueuePostAnalysis(updatedPost._id);
+    }
+
+    res.json(updatedPost);
+  } catch (error) {
+    console.error('Error in updatePost:', error);
+    if (newImageUrl && !saved) {
+      await deleteStoredImage(newImageUrl);
+    }
+    res.status(500).json({ message: 'Server error during post update.' });
+  }
+};
+
+// @desc    Get the previous versions of a post, newest first
+// @route   GET /api/posts/:id/revisions?limit=<n>&cursor=<nextCursor>
+// @access  Private
+const getPostRevisions = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const post = await Post.findById(req.params.id).select('user hidden editedAt');
+    if (!post || !canViewPost(post, req.user)) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = buildPage(revisions, limit);
+    res.json({ revisions: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching revisions.' });
+  }
+};
+
+// @desc    Get the posts most similar in meaning to a post (nearest neighbours of its embedding)
+// @route   GET /api/posts/:id/related?limit=<n>
+// @access  Private
+const getRelatedPosts = async(req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  try {
+    const post = mongoose.Types.ObjectId.isValid(req.params.id) ? await Post.findById(req.params.id).select('user hidden') : null;
+    if (!post || !canViewPost(post, req.user)) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+
+    // The embedding is computed in the background after the post is created or edited
+    const embedding = await getPostVector(post._id);
+    if (!embedding) {
+      return res.json({ posts: [] });
+    }
+
+    // Over-fetch so hidden posts can be dropped without coming up short
+    const matches = await findNearestPosts(embedding.vector, { model: embedding.model, limit: limit * 2, exclude: [post._id] });
+    const related = await Post.find({ _id: { $in: matches.map(match => match.postId) }, hidden: { $ne: true } })
+      .populate('user', 'username profilePicture');
+    const postsById = new Map(related.map(relatedPost => [relatedPost._id.toString(), relatedPost]));
+
+    const posts = matches
+      .filter(match => postsById.has(match.postId))
+      .slice(0, limit)
+      .map(match => ({ ...postsById.get(match.postId).toJSON(), similarity: match.score }));
+
+    res.json({ posts });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching related posts.' });
+  }
+};
+
+// @desc    Repost a post, or quote it with commentary (`content`)
+// @route   POST /api/posts/:id/repost
+// @access  Private
+const repostPost = async(req, res) => {
+  const quote = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+  try {
+    const found = mongoose.Types.ObjectId.isValid(req.params.id) ? await Post.findById(req.params.id) : null;
+    // Reposting a plain repost shares the post it points to
+    const original = found && canViewPost(found, req.user) ? await resolveRepost(found) : null;
+    if (!original || original.hidden) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+
+    if (!quote && await Post.exists({ repostOf: original._id, user: req.user._id, content: null })) {
+      return res.status(400).json({ message: 'You have already reposted this post.' });
+    }
+
+    const post = new Post({ user: req.user._id, repostOf: original._id });
+    if (quote) {
+      const { hashtags, mentions } = await parsePostContent(quote);
+      post.set({ content: quote, hashtags, mentions, aiAnalysis: PENDING_AI_ANALYSIS });
+    }
+    const createdPost = await post.save();
+    await Post.updateOne({ _id: original._id }, { $inc: { repostCount: 1 } });
+
+    if (quote) {
+      await enqueuePostAnalysis(createdPost._id);
+      await notifyMentionedUsers(createdPost, req.user);
+    }
+    await createNotification({
+      recipient: original.user,
+      type: 'repost',
+      initiator: req.user._id,
+      post: original._id,
+      message: quote ?
+        `${req.user.username} quoted your post: "${quote.substring(0, 30)}..."` :
+        `${req.user.username} reposted your post: "${(original.content || '').substring(0, 30)}..."`,
+    });
+
+    await createdPost.populate(REPOST_POPULATE);
+    res.status(201).json(createdPost);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during repost.' });
+  }
+};
+
+// @desc    Undo a plain repost (quote posts are deleted like any post)
+// @route   DELETE /api/posts/:id/repost
+// @access  Private
+const undoRepost = async(req, res) => {
+  try {
+    const found = mongoose.Types.ObjectId.isValid(req.params.id) ? await Post.findById(req.params.id) : null;
+    const original = found ? await resolveRepost(found) : null;
+    const repost = original ? await Post.findOne({ repostOf: original._id, user: req.user._id, content: null }) : null;
+    if (!repost) {
+      return res.status(404).json({ message: 'Repost not found.' });
+    }
+
+    await removePost(repost);
+    res.json({ message: 'Repost removed.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error removing repost.' });
+  }
+};
+
 // @desc    Toggle like/unlike on a post and update user preferences
 // @route   PUT /api/posts/:id/like
 // @access  Private
 const likePost = async(req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const found = await Post.findById(req.params.id);
+    const post = found ? await resolveRepost(found) : null;
     const user = await User.findById(req.user._id);
 
     if (!post) {
@@ -173,41 +449,16 @@ const likePost = async(req, res) => {
     if (isLiked) {
       // User is unliking the post
       post.likes = post.likes.filter((like) => like.toString() !== userId);
-      // Decrement user preferences (existing logic)
-      if (post.aiAnalysis) {
-        if (post.aiAnalysis.category && user.userPreferences.likedCategories.has(post.aiAnalysis.category)) {
-          const currentCount = user.userPreferences.likedCategories.get(post.aiAnalysis.category) || 0;
-          if (currentCount > 0) { user.userPreferences.likedCategories.set(post.aiAnalysis.category, currentCount - 1); } else { user.userPreferences.likedCategories.delete(post.aiAnalysis.category); }
-        }
-        if (post.aiAnalysis.topics && post.aiAnalysis.topics.length > 0) {
-          post.aiAnalysis.topics.forEach(topic => {
-            if (user.userPreferences.likedTopics.has(topic)) {
-              const currentCount = user.userPreferences.likedTopics.get(topic) || 0;
-              if (currentCount > 0) { user.userPreferences.likedTopics.set(topic, currentCount - 1); } else { user.userPreferences.likedTopics.delete(topic); }
-            }
-          });
-        }
-      }
+      // Decrement user preferences
+      adjustUserPreferences(user, post.aiAnalysis, -1);
       await user.save();
       res.json({ message: 'Post unliked.', post });
 
     } else {
       // User is liking the post
       post.likes.push(userId);
-      // Increment user preferences (existing logic)
-      if (post.aiAnalysis) {
-        if (post.aiAnalysis.category) {
-          const category = post.aiAnalysis.category;
-          const currentCount = user.userPreferences.likedCategories.get(category) || 0;
-          user.userPreferences.likedCategories.set(category, currentCount + 1);
-        }
-        if (post.aiAnalysis.topics && post.aiAnalysis.topics.length > 0) {
-          post.aiAnalysis.topics.forEach(topic => {
-            const currentCount = user.userPreferences.likedTopics.get(topic) || 0;
-            user.userPreferences.likedTopics.set(topic, currentCount + 1);
-          });
-        }
-      }
+      // Increment user preferences
+      adjustUserPreferences(user, post.aiAnalysis, 1);
       await user.save();
 
       // NEW: Create notification for the post owner
@@ -230,149 +481,46 @@ const likePost = async(req, res) => {
   }
 };
 
-// @desc    Add a comment to a post
-// @route   POST /api/posts/:id/comment
+// @desc    Get personalized user feed (ranked from a bounded candidate set), one page at a time
+// @route   GET /api/posts/feed?limit=<n>&cursor=<nextCursor>
 // @access  Private
-const addComment = async(req, res) => {
-  const { text } = req.body;
-  const { id } = req.params; // Post ID
-
-  if (!text) {
-    return res.status(400).json({ message: 'Comment text is required.' });
-  }
-
-  try {
-    const post = await Post.findById(id);
-
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found.' });
-    }
-
-    const comment = {
-      user: req.user._id,
-      text,
-    };
-
-    post.comments.push(comment);
-    const newCommentObjectId = post.comments[post.comments.length - 1]._id; // Get ID before saving
-
-    await post.save();
-
-    const updatedPost = await Post.findById(id)
-      .populate({
-        path: 'comments.user',
-        select: 'username profilePicture',
-      });
-
-    const newCommentWithUser = updatedPost.comments.find(
-      c => c._id.toString() === newCommentObjectId.toString(),
-    );
-
-    // NEW: Create notification for the post owner
-    await createNotification({
-      recipient: post.user, // The owner of the post
-      type: 'comment',
-      initiator: req.user._id, // The user who commented
-      post: post._id,
-      message: `${req.user.username} commented on your post: "${text.substring(0, 30)}..."`,
-    });
-
-    if (newCommentWithUser) {
-      res.status(201).json(newCommentWithUser);
-    } else {
-      console.warn('Could not find newly added comment after population.');
-      res.status(201).json({ message: 'Comment added successfully, but could not retrieve populated comment.', post: updatedPost });
-    }
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error.' });
+const getFeedPosts = async(req, res) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  // The first page fixes a snapshot time: later pages score against it and ignore newer posts,
+  // so scores don't drift with recency decay and concurrent inserts can't shift the ranking.
+  const asOf = cursor ? new Date(cursor.asOf) : new Date();
+  const validCursor = !cursor || (typeof cursor.score === 'number' && !Number.isNaN(new Date(cursor.createdAt).getTime()) &&
+    mongoose.Types.ObjectId.isValid(cursor.id));
+  if (error || Number.isNaN(asOf.getTime()) || !validCursor) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
   }
-};
 
-// @desc    Get personalized user feed (now includes all posts, ranked)
-// @route   GET /api/posts/feed
-// @access  Private
-const getFeedPosts = async(req, res) => {
   try {
     const user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: 'User not found.' });
     }
 
-    const followedUsersIds = user.following.map(id => id.toString());
-    const ownUserId = req.user._id.toString();
-
-    // Fetch ALL posts initially. The scoring function will prioritize relevant ones.
-    let posts = await Post.find({})
-      .populate('user', 'username profilePicture')
-      .populate('comments.user', 'username profilePicture');
-
-    // --- Personalization Logic ---
-    const userLikedCategories = user.userPreferences.likedCategories;
-    const userLikedTopics = user.userPreferences.likedTopics;
-
-    // Convert Maps to array of {name, count} and sort by count to get top interests
-    const sortedCategories = Array.from(userLikedCategories.entries())
-      .sort(([, countA], [, countB]) => countB - countA)
-      .map(([name]) => name);
-    const sortedTopics = Array.from(userLikedTopics.entries())
-      .sort(([, countA], [, countB]) => countB - countA)
-      .map(([name]) => name);
-
-    // Define a scoring function for posts
-    const scorePost = (post) => {
-      let score = 0;
-
-      // Give a significant base score for posts from followed users or own posts
-      if (followedUsersIds.includes(post.user._id.toString()) || post.user._id.toString() === ownUserId) {
-        score += 100; // High base relevance for network content
-      }
+    // Later pages keep the profile of the first page so the ranking stays consistent
+    const { profileId, weights } = await getRankingProfileForUser(user._id, cursor ? cursor.profileId : null);
+    const rankedPosts = await getRankedFeedPage({ user, asOf, cursor, limit, weights });
 
-      // Add score based on category match from AI analysis
-      if (post.aiAnalysis && post.aiAnalysis.category && userLikedCategories.has(post.aiAnalysis.category)) {
-        score += userLikedCategories.get(post.aiAnalysis.category) * 10; // Strong impact of liked categories
-      }
-
-      // Add score based on topic match from AI analysis
-      if (post.aiAnalysis && post.aiAnalysis.topics && post.aiAnalysis.topics.length > 0) {
-        post.aiAnalysis.topics.forEach(topic => {
-          if (userLikedTopics.has(topic)) {
-            score += userLikedTopics.get(topic) * 5; // Moderate impact of liked topics
-          }
-        });
-      }
-
-      // Add a small score for recent posts (decaying over time)
-      const now = Date.now();
-      const postAgeMs = now - new Date(post.createdAt).getTime();
-      const oneDayMs = 24 * 60 * 60 * 1000;
-      // Max 5 points for very recent posts, decaying to 0 over 5 days
-      score += Math.max(0, 5 - (postAgeMs / (oneDayMs * 5)));
-
-      // Penalize toxic posts (optional, adjust score as needed for your platform's moderation)
-      if (post.aiAnalysis && post.aiAnalysis.toxicity && post.aiAnalysis.toxicity.detected) {
-        score -= 50; // Significant penalty for toxic posts
-      }
-
-      return score;
-    };
-
-    // Score all fetched posts
-    const scoredPosts = posts.map(post => ({
-      ...post.toObject(), // Convert Mongoose document to plain JS object for manipulation
-      relevanceScore: scorePost(post),
+    const { items, nextCursor } = buildPage(rankedPosts, limit, (post) => ({
+      score: post.relevanceScore,
+      createdAt: post.createdAt,
+      id: post._id,
+      asOf,
+      profileId,
     }));
 
-    // Sort posts by relevance score (highest first), then by creation date (newest first for ties)
-    scoredPosts.sort((a, b) => {
-      if (b.relevanceScore !== a.relevanceScore) {
-        return b.relevanceScore - a.relevanceScore;
-      }
-      return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
-    });
+    // Population is deferred to the returned page
+    await Post.populate(items, [
+      { path: 'user', select: 'username profilePicture' },
+      { path: 'repostedBy', model: 'User', select: 'username profilePicture' },
+      REPOST_POPULATE,
+    ]);
 
-    res.json(scoredPosts);
+    res.json({ posts: items, nextCursor, rankingProfileId: profileId });
 
   } catch (error) {
     console.error(error);
@@ -380,7 +528,7 @@ const getFeedPosts = async(req, res) => {
   }
 };
 
-// @desc    Get global trending topics
+// @desc    Get global trending topics (AI topics merged with explicit #hashtags)
 // @route   GET /api/posts/trending-topics
 // @access  Private
 const getTrendingTopics = async(req, res) => {
@@ -393,35 +541,62 @@ const getTrendingTopics = async(req, res) => {
       // Stage 1: Filter posts by creation date (optional, for recency)
       {
         $match: {
-          'aiAnalysis.topics': { $exists: true, $ne: [] }, // Ensure posts have topics
+          $or: [
+            { 'aiAnalysis.topics': { $exists: true, $ne: [] } }, // Posts with AI topics...
+            { hashtags: { $exists: true, $ne: [] } }, // ...or explicit hashtags
+          ],
           createdAt: { $gte: sevenDaysAgo }, // Only consider posts from the last 7 days
+          hidden: { $ne: true }, // Leave out posts hidden by moderators
         },
       },
-      // Stage 2: Deconstruct the topics array into individual documents
+      // Stage 2: One term per AI topic and hashtag, keyed case-insensitively so "AI" and #ai are the same
       {
-        $unwind: '$aiAnalysis.topics',
+        $project: {
+          terms: {
+            $concatArrays: [
+              { $map: { input: { $ifNull: ['$aiAnalysis.topics', []] }, as: 'topic', in: { key: { $toLower: '$$topic' }, label: '$$topic', source: 'ai' } } },
+              { $map: { input: { $ifNull: ['$hashtags', []] }, as: 'tag', in: { key: '$$tag', label: '$$tag', source: 'hashtag' } } },
+            ],
+          },
+        },
+      },
+      // Stage 3: Deconstruct the terms array into individual documents
+      {
+        $unwind: '$terms',
+      },
+      // Stage 4: Count each term once per post, even if it is both a topic and a hashtag
+      {
+        $group: {
+          _id: { post: '$_id', key: '$terms.key' },
+          label: { $min: '$terms.label' }, // Capitalized AI spelling sorts before the lowercased hashtag
+          sources: { $addToSet: '$terms.source' },
+        },
       },
-      // Stage 3: Group by topic and count occurrences
+      // Stage 5: Group by term and count occurrences
       {
         $group: {
-          _id: '$aiAnalysis.topics', // Group by the topic name
-          count: { $sum: 1 },         // Count occurrences
+          _id: '$_id.key',
+          topic: { $min: '$label' },
+          count: { $sum: 1 },
+          aiCount: { $sum: { $cond: [{ $in: ['ai', '$sources'] }, 1, 0] } },
+          hashtagCount: { $sum: { $cond: [{ $in: ['hashtag', '$sources'] }, 1, 0] } },
         },
       },
-      // Stage 4: Sort by count in descending order
+      // Stage 6: Sort by count in descending order
       {
-        $sort: { count: -1 },
+        $sort: { count: -1, _id: 1 },
       },
-      // Stage 5: Limit to the top N topics
+      // Stage 7: Limit to the top N topics
       {
         $limit: limit,
       },
-      // Stage 6: Reshape the output documents
+      // Stage 8: Reshape the output documents
       {
         $project: {
           _id: 0, // Exclude the default _id
-          topic: '$_id', // Rename _id to topic
-          count: 1, // Include the count
+          topic: 1,
+          count: 1, // Posts mentioning the term either way
+          sources: { ai: '$aiCount', hashtag: '$hashtagCount' },
         },
       },
     ]);
@@ -433,8 +608,38 @@ const getTrendingTopics = async(req, res) => {
   }
 };
 
-// @desc    Get posts related to a specific topic
-// @route   GET /api/posts/by-topic?topic=<query>
+// @desc    Get posts tagged with an explicit #hashtag, newest first, one page at a time
+// @route   GET /api/posts/hashtag/:tag?limit=<n>&cursor=<nextCursor>
+// @access  Private
+const getPostsByHashtag = async(req, res) => {
+  const tag = normalizeHashtag(req.params.tag || '');
+  if (!tag) {
+    return res.status(400).json({ message: 'Hashtag is required.' });
+  }
+
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const posts = await Post.find({ hashtags: tag, hidden: { $ne: true }, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('user', 'username profilePicture')
+      .populate(REPOST_POPULATE);
+
+    const { items, nextCursor } = buildPage(posts, limit);
+    res.json({ posts: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching posts by hashtag.' });
+  }
+};
+
+// @desc    Get posts related to a specific topic, newest first, one page at a time
+// @route   GET /api/posts/by-topic?topic=<query>&limit=<n>&cursor=<nextCursor>
 // @access  Private
 const getPostsByTopic = async(req, res) => {
   const { topic } = req.query; // Get topic query from URL (e.g., ?topic=Technology)
@@ -443,17 +648,27 @@ const getPostsByTopic = async(req, res) => {
     return res.status(400).json({ message: 'Topic query parameter is required.' });
   }
 
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
   try {
     // Find posts where the aiAnalysis.topics array contains the specified topic
     // Use $regex with 'i' option for case-insensitive matching
     const posts = await Post.find({
       'aiAnalysis.topics': { $regex: topic, $options: 'i' },
+      hidden: { $ne: true },
+      ...cursorFilter,
     })
+      .sort({ createdAt: -1, _id: -1 }) // Sort by newest first, can be changed to rank by relevance if desired
+      .limit(limit + 1)
       .populate('user', 'username profilePicture')
-      .populate('comments.user', 'username profilePicture')
-      .sort({ createdAt: -1 }); // Sort by newest first, can be changed to rank by relevance if desired
+      .populate(REPOST_POPULATE);
 
-    res.json(posts);
+    const { items, nextCursor } = buildPage(posts, limit);
+    res.json({ posts: items, nextCursor });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error fetching posts by topic.' });
@@ -461,13 +676,21 @@ const getPostsByTopic = async(req, res) => {
 };
 
 export {
+  canViewPost,
+  resolveRepost,
+  removePost,
   createPost,
   getAllPosts,
   getPostById,
+  updatePost,
+  getPostRevisions,
+  getRelatedPosts,
   deletePost,
+  repostPost,
+  undoRepost,
   likePost,
-  addComment,
   getFeedPosts,
   getTrendingTopics,
+  getPostsByHashtag,
   getPostsByTopic,
 };
@@ -0,0 +1,140 @@
+// controllers/rankingProfileController.js - Admin management of feed ranking profiles and experiments
+import mongoose from 'mongoose';
+import RankingProfile from '../models/RankingProfile.js';
+
+const WEIGHT_FIELDS = ['network', 'category', 'topic', 'recency', 'recencyDecayDays', 'toxicity'];
+
+// Returns an error message for invalid weights / trafficWeight, or null when the input is usable
+const validateProfileInput = ({ weights, trafficWeight }) => {
+  if (weights !== undefined) {
+    if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+      return 'weights must be an object.';
+    }
+    for (const [key, value] of Object.entries(weights)) {
+      if (!WEIGHT_FIELDS.includes(key)) {
+        return `Unknown weight "${key}". Allowed: ${WEIGHT_FIELDS.join(', ')}.`;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `Weight "${key}" must be a number.`;
+      }
+    }
+    if (weights.recencyDecayDays !== undefined && weights.recencyDecayDays <= 0) {
+      return 'recencyDecayDays must be greater than 0.';
+    }
+  }
+  if (trafficWeight !== undefined && (typeof trafficWeight !== 'number' || trafficWeight < 0)) {
+    return 'trafficWeight must be a number greater than or equal to 0.';
+  }
+  return null;
+};
+
+// @desc    List ranking profiles
+// @route   GET /api/admin/ranking-profiles
+// @access  Private/Admin
+const getRankingProfiles = async(req, res) => {
+  try {
+    const profiles = await RankingProfile.find({}).sort({ createdAt: 1 });
+    res.json(profiles);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching ranking profiles.' });
+  }
+};
+
+// @desc    Create a ranking profile
+// @route   POST /api/admin/ranking-profiles
+// @access  Private/Admin
+const createRankingProfile = async(req, res) => {
+  const { name, description, weights, trafficWeight, active } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ message: 'Profile name is required.' });
+  }
+  const validationError = validateProfileInput({ weights, trafficWeight });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (await RankingProfile.exists({ name })) {
+      return res.status(400).json({ message: 'A ranking profile with this name already exists.' });
+    }
+
+    const profile = new RankingProfile({ name, description, weights, trafficWeight, active });
+    const createdProfile = await profile.save();
+    res.status(201).json(createdProfile);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error creating ranking profile.' });
+  }
+};
+
+// @desc    Update a ranking profile (weights are merged into the existing ones)
+// @route   PUT /api/admin/ranking-profiles/:id
+// @access  Private/Admin
+const updateRankingProfile = async(req, res) => {
+  const { name, description, weights, trafficWeight, active } = req.body;
+
+  const validationError = validateProfileInput({ weights, trafficWeight });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const profile = mongoose.Types.ObjectId.isValid(req.params.id) ? await RankingProfile.findById(req.params.id) : null;
+    if (!profile) {
+      return res.status(404).json({ message: 'Ranking profile not found.' });
+    }
+
+    if (name !== undefined && name !== profile.name) {
+      if (await RankingProfile.exists({ name })) {
+        return res.status(400).json({ message: 'A ranking profile with this name already exists.' });
+      }
+      profile.name = name;
+    }
+    if (description !== undefined) {
+      profile.description = description;
+    }
+    if (weights !== undefined) {
+      Object.entries(weights).forEach(([key, value]) => {
+        profile.weights[key] = value;
+      });
+    }
+    if (trafficWeight !== undefined) {
+      profile.trafficWeight = trafficWeight;
+    }
+    if (active !== undefined) {
+      profile.active = Boolean(active);
+    }
+
+    const updatedProfile = await profile.save();
+    res.json(updatedProfile);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error updating ranking profile.' });
+  }
+};
+
+// @desc    Delete a ranking profile
+// @route   DELETE /api/admin/ranking-profiles/:id
+// @access  Private/Admin
+const deleteRankingProfile = async(req, res) => {
+  try {
+    const profile = mongoose.Types.ObjectId.isValid(req.params.id) ? await RankingProfile.findById(req.params.id) : null;
+    if (!profile) {
+      return res.status(404).json({ message: 'Ranking profile not found.' });
+    }
+    await RankingProfile.deleteOne({ _id: profile._id });
+    res.json({ message: 'Ranking profile removed.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error deleting ranking profile.' });
+  }
+};
+
+export {
+  getRankingProfiles,
+  createRankingProfile,
+  updateRankingProfile,
+  deleteRankingProfile,
+};
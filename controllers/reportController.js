@@ -0,0 +1,463 @@
+// controllers/reportController.js - Reporting of posts, comments and users, and the moderation queue
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import { removePost } from './postController.js';
+import { removeComment } from './commentController.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage } from '../utils/pagination.js';
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'misinformation', 'violence', 'sexual', 'other'];
+
+// Resolutions moderators can apply per target type ('remove' on a user bans the account)
+const RESOLUTIONS = {
+  post: ['hide', 'remove', 'dismiss'],
+  comment: ['hide', 'remove', 'dismiss'],
+  user: ['remove', 'dismiss'],
+};
+
+// Queue filters (?status=, ?targetType=, ?source=) and the values each accepts
+const REPORT_FILTERS = ['status', 'targetType', 'source'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Files a report unless the same reporter already has an unresolved one for the same target.
+ * @returns {{ report: object, created: boolean }}
+ */
+const fileReport = async({ targetType, post = null, comment = null, targetUser, reporter = null, source = 'user', reason, details = '' }) => {
+  const existing = await Report.findOne({
+    targetType,
+    post,
+    comment,
+    targetUser,
+    reporter,
+    source,
+    status: { $ne: 'resolved' },
+  });
+  if (existing) {
+    return { report: existing, created: false };
+  }
+
+  const report = new Report({
+    targetType,
+    post,
+    comment,
+    targetUser,
+    reporter,
+    source,
+    reason,
+    details,
+    actions: [{ action: 'created', actor: reporter, note: source === 'ai' ? 'Raised automatically by toxicity detection.' : '' }],
+  });
+  await report.save();
+  return { report, created: true };
+};
+
+/**
+ * Opens a moderation report for a post whose AI analysis detected toxicity.
+ * Called after every analysis; does nothing when toxicity wasn't detected or a report is already open.
+ * @param {object} post - The analyzed post document.
+ */
+const createAutomaticReport = async(post) => {
+  try {
+    if (!post.aiAnalysis || !post.aiAnalysis.toxicity || !post.aiAnalysis.toxicity.detected) {
+      return;
+    }
+    const { created } = await fileReport({
+      targetType: 'post',
+      post: post._id,
+      targetUser: post.user,
+      source: 'ai',
+      reason: 'toxicity',
+      details: JSON.stringify(post.aiAnalysis.toxicity.details || {}),
+    });
+    if (created) {
+      console.log(`Automatic toxicity report opened for post ${post._id}.`);
+    }
+  } catch (error) {
+    console.error(`Error creating automatic report for post ${post._id}:`, error);
+  }
+};
+
+// Validates the reason/details shared by every report endpoint; returns an error message or null
+const validateReportInput = ({ reason }) => {
+  if (!reason) {
+    return 'Report reason is required.';
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return `Reason must be one of: ${REPORT_REASONS.join(', ')}.`;
+  }
+  return null;
+};
+
+// Sends the response for a newly filed (201) or already pending (200) report
+const respondWithReport = (res, { report, created }) => {
+  if (created) {
+    return res.status(201).json({ message: 'Report submitted.', reportId: report._id });
+  }
+  return res.json({ message: 'You have already reported this.', reportId: report._id });
+};
+
+// @desc    Report a post
+// @route   POST /api/posts/:id/report
+// @access  Private
+const reportPost = async(req, res) => {
+  const { reason, details } = req.body;
+  const validationError = validateReportInput({ reason });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const post = isValidId(req.params.id) ? await Post.findById(req.params.id) : null;
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found.' });
+    }
+    if (post.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own post.' });
+    }
+
+    const result = await fileReport({
+      targetType: 'post',
+      post: post._id,
+      targetUser: post.user,
+      reporter: req.user._id,
+      reason,
+      details,
+    });
+    respondWithReport(res, result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error submitting report.' });
+  }
+};
+
+// @desc    Report a comment
+// @route   POST /api/posts/:id/comments/:commentId/report
+// @access  Private
+const reportComment = async(req, res) => {
+  const { reason, details } = req.body;
+  const validationError = validateReportInput({ reason });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const comment = isValidId(req.params.id) && isValidId(req.params.commentId) ?
+      await Comment.findOne({ _id: req.params.commentId, post: req.params.id }) : null;
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found.' });
+    }
+    if (comment.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own comment.' });
+    }
+
+    const result = await fileReport({
+      targetType: 'comment',
+      post: comment.post,
+      comment: comment._id,
+      targetUser: comment.user,
+      reporter: req.user._id,
+      reason,
+      details,
+    });
+    respondWithReport(res, result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error submitting report.' });
+  }
+};
+
+// @desc    Report a user account
+// @route   POST /api/auth/:id/report
+// @access  Private
+const reportUser = async(req, res) => {
+  const { reason, details } = req.body;
+  const validationError = validateReportInput({ reason });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+  if (req.params.id === req.user._id.toString()) {
+    return res.status(400).json({ message: 'You cannot report yourself.' });
+  }
+
+  try {
+    const user = isValidId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    const result = await fileReport({
+      targetType: 'user',
+      targetUser: user._id,
+      reporter: req.user._id,
+      reason,
+      details,
+    });
+    respondWithReport(res, result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error submitting report.' });
+  }
+};
+
+// @desc    List reports in the moderation queue, newest first
+// @route   GET /api/moderation/reports?status=<open|claimed|resolved>&targetType=<post|comment|user>&source=<user|ai>&assignedToMe=true&limit=<n>&cursor=<nextCursor>
+// @access  Private/Moderator
+const getReports = async(req, res) => {
+  const { status, targetType, source, assignedToMe } = req.query;
+  const { limit, cursor, error } = parsePagination(req.query);
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  if (!cursorFilter) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+  // Only plain enum values: a query object (?status[$ne]=x) would otherwise become a MongoDB operator
+  for (const name of REPORT_FILTERS) {
+    const allowed = Report.schema.path(name).enumValues;
+    if (req.query[name] !== undefined && (typeof req.query[name] !== 'string' || !allowed.includes(req.query[name]))) {
+      return res.status(400).json({ message: `${name} must be one of: ${allowed.join(', ')}.` });
+    }
+  }
+
+  // Unresolved reports by default
+  const filter = { status: status || { $in: ['open', 'claimed'] }, ...cursorFilter };
+  if (targetType) {
+    filter.targetType = targetType;
+  }
+  if (source) {
+    filter.source = source;
+  }
+  if (assignedToMe === 'true') {
+    filter.assignedTo = req.user._id;
+  }
+
+  try {
+    const reports = await Report.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('reporter', 'username profilePicture')
+      .populate('targetUser', 'username profilePicture')
+      .populate('assignedTo', 'username')
+      .populate('post', 'content image hidden');
+
+    const { items, nextCursor } = buildPage(reports, limit);
+    res.json({ reports: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching reports.' });
+  }
+};
+
+// @desc    Get a report with its audit trail
+// @route   GET /api/moderation/reports/:id
+// @access  Private/Moderator
+const getReportById = async(req, res) => {
+  try {
+    const report = isValidId(req.params.id) ? await Report.findById(req.params.id)
+      .populate('reporter', 'username profilePicture')
+      .populate('targetUser', 'username profilePicture banned')
+      .populate('assignedTo', 'username')
+      .populate('post', 'content image hidden')
+      .populate('comment', 'text parentComment hidden')
+      .populate('actions.actor', 'username') : null;
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found.' });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error fetching report.' });
+  }
+};
+
+// @desc    Claim an open report so other moderators don't work on it
+// @route   PUT /api/moderation/reports/:id/claim
+// @access  Private/Moderator
+const claimReport = async(req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(404).json({ message: 'Report not found.' });
+  }
+
+  try {
+    // Atomic so two moderators can't claim the same report
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      {
+        $set: { status: 'claimed', assignedTo: req.user._id },
+        $push: { actions: { action: 'claimed', actor: req.user._id } },
+      },
+      { new: true },
+    );
+
+    if (!report) {
+      const exists = await Report.exists({ _id: req.params.id });
+      return exists ?
+        res.status(409).json({ message: 'Report is already claimed or resolved.' }) :
+        res.status(404).json({ message: 'Report not found.' });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error claiming report.' });
+  }
+};
+
+// @desc    Give a claimed report back to the queue
+// @route   PUT /api/moderation/reports/:id/release
+// @access  Private/Moderator
+const releaseReport = async(req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(404).json({ message: 'Report not found.' });
+  }
+
+  try {
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: 'claimed', assignedTo: req.user._id },
+      {
+        $set: { status: 'open', assignedTo: null },
+        $push: { actions: { action: 'released', actor: req.user._id } },
+      },
+      { new: true },
+    );
+
+    if (!report) {
+      return res.status(409).json({ message: 'Report is not claimed by you.' });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error releasing report.' });
+  }
+};
+
+// Moderators may only ban regular users; staff and bot accounts are banned by an admin (as in PUT /api/admin/users/:id/ban)
+const getBanError = async(targetUserId, moderator) => {
+  if (targetUserId.toString() === moderator._id.toString()) {
+    return 'You cannot ban yourself.';
+  }
+  const target = await User.findById(targetUserId).select('role isAdmin isBot');
+  if (target && target.getRole() !== 'user' && moderator.getRole() !== 'admin') {
+    return 'Only admins can ban moderators, admins and bots.';
+  }
+  return null;
+};
+
+// Applies a resolution to the reported content or account
+const applyResolution = async(report, action) => {
+  if (action === 'dismiss') {
+    return;
+  }
+
+  if (report.targetType === 'user') {
+    // 'remove' on an account bans it
+    await User.updateOne(
+      { _id: report.targetUser },
+      { $set: { banned: true, bannedAt: new Date(), banReason: `Report ${report._id}: ${report.reason}` } },
+    );
+    await revokeAllSessions(report.targetUser, 'banned');
+    return;
+  }
+
+  if (report.targetType === 'post') {
+    const post = await Post.findById(report.post);
+    if (!post) {
+      return; // Already deleted by its author
+    }
+    if (action === 'hide') {
+      post.hidden = true;
+      post.hiddenAt = new Date();
+      await post.save();
+    } else {
+      await removePost(post);
+    }
+    return;
+  }
+
+  const comment = await Comment.findById(report.comment);
+  if (!comment) {
+    return; // Already deleted (with its post, or by its author)
+  }
+  if (action === 'hide') {
+    comment.hidden = true;
+    await comment.save();
+  } else {
+    await removeComment(comment);
+  }
+};
+
+// @desc    Resolve a report by hiding or removing the target, or dismissing the report
+// @route   PUT /api/moderation/reports/:id/resolve
+// @access  Private/Moderator
+const resolveReport = async(req, res) => {
+  const { action, note } = req.body;
+
+  try {
+    const report = isValidId(req.params.id) ? await Report.findById(req.params.id) : null;
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found.' });
+    }
+    if (report.status === 'resolved') {
+      return res.status(409).json({ message: 'Report is already resolved.' });
+    }
+    if (report.status === 'claimed' && report.assignedTo.toString() !== req.user._id.toString()) {
+      return res.status(409).json({ message: 'Report is claimed by another moderator.' });
+    }
+    if (!RESOLUTIONS[report.targetType].includes(action)) {
+      return res.status(400).json({ message: `Action must be one of: ${RESOLUTIONS[report.targetType].join(', ')}.` });
+    }
+    if (report.targetType === 'user' && action === 'remove') {
+      const banError = await getBanError(report.targetUser, req.user);
+      if (banError) {
+        return res.status(403).json({ message: banError });
+      }
+    }
+
+    await applyResolution(report, action);
+
+    report.status = 'resolved';
+    report.resolution = action;
+    report.resolvedAt = new Date();
+    report.assignedTo = req.user._id;
+    report.actions.push({ action, actor: req.user._id, note: note || '' });
+    await report.save();
+
+    // Other open reports about the same target are settled by the same decision
+    if (action !== 'dismiss') {
+      await Report.updateMany(
+        {
+          _id: { $ne: report._id },
+          targetType: report.targetType,
+          post: report.post,
+          comment: report.comment,
+          targetUser: report.targetUser,
+          status: { $ne: 'resolved' },
+        },
+        {
+          $set: { status: 'resolved', resolution: action, resolvedAt: new Date(), assignedTo: req.user._id },
+          $push: { actions: { action, actor: req.user._id, note: `Resolved with report ${report._id}.` } },
+        },
+      );
+    }
+
+    res.json({ message: `Report resolved (${action}).`, report });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error resolving report.' });
+  }
+};
+
+export {
+  createAutomaticReport,
+  reportPost,
+  reportComment,
+  reportUser,
+  getReports,
+  getReportById,
+  claimReport,
+  releaseReport,
+  resolveReport,
+};
@@ -0,0 +1,165 @@
+// controllers/searchController.js - Post search
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { parsePagination, getCreatedAtCursorFilter, buildPage, encodeCursor } from '../utils/pagination.js';
+import { searchPosts as runPostSearch, semanticSearchPosts, getPostSnippet } from '../services/postSearch.js';
+import { QuotaExceededError } from '../services/quotaTracker.js';
+
+const SENTIMENTS = Post.schema.path('aiAnalysis.sentiment').enumValues;
+const FACT_CHECKS = Post.schema.path('aiAnalysis.factCheck').enumValues;
+const SORTS = ['relevance', 'recent'];
+const MODES = ['text', 'semantic'];
+// Repeating a parameter (?q=a&q=b) makes it an array; every one of these must be a single value
+const SEARCH_PARAMS = ['q', 'mode', 'sort', 'from', 'to', 'author', 'category', 'sentiment', 'factCheck', 'hasImage', 'limit', 'cursor'];
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Turns the optional query filters into a MongoDB filter, or returns { error }
+const buildSearchFilter = async(query) => {
+  const filter = {};
+
+  if (query.author) {
+    // Author by id or by exact username
+    const author = mongoose.Types.ObjectId.isValid(query.author) ?
+      { _id: query.author } :
+      await User.findOne({ username: query.author }).select('_id');
+    if (!author) {
+      return { filter: null }; // Unknown author: nothing can match
+    }
+    filter.user = new mongoose.Types.ObjectId(author._id);
+  }
+  if (query.category) {
+    filter['aiAnalysis.category'] = query.category;
+  }
+  if (query.sentiment) {
+    if (!SENTIMENTS.includes(query.sentiment)) {
+      return { error: `sentiment must be one of: ${SENTIMENTS.join(', ')}.` };
+    }
+    filter['aiAnalysis.sentiment'] = query.sentiment;
+  }
+  if (query.factCheck) {
+    if (!FACT_CHECKS.includes(query.factCheck)) {
+      return { error: `factCheck must be one of: ${FACT_CHECKS.join(', ')}.` };
+    }
+    filter['aiAnalysis.factCheck'] = query.factCheck;
+  }
+  if (query.hasImage !== undefined) {
+    if (!['true', 'false'].includes(query.hasImage)) {
+      return { error: 'hasImage must be true or false.' };
+    }
+    filter.image = query.hasImage === 'true' ? { $nin: [null, ''] } : { $in: [null, ''] };
+  }
+
+  return { filter };
+};
+
+// Semantic mode: ranked by embedding similarity only, so `sort` does not apply
+const searchPostsSemantically = async(req, res, { q, from, to }) => {
+  const { limit, cursor, error } = parsePagination(req.query);
+  if (error || (cursor && (typeof cursor.score !== 'number' || !mongoose.Types.ObjectId.isValid(cursor.id)))) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const { filter, error: filterError } = await buildSearchFilter(req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (!filter) {
+      return res.json({ posts: [], nextCursor: null });
+    }
+
+    const { posts, next } = await semanticSearchPosts({ query: q, filter, from, to, cursor, limit });
+
+    await Post.populate(posts, { path: 'user', select: 'username profilePicture' });
+    posts.forEach(post => {
+      post.snippet = getPostSnippet(post, q);
+    });
+
+    res.json({ posts, nextCursor: next ? encodeCursor(next) : null });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ message: 'Semantic search is unavailable until the daily AI quota resets. Try mode=text.', retryAt: error.retryAt });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error during post search.' });
+  }
+};
+
+// @desc    Search posts by text in their content and AI summary (or by meaning with mode=semantic), with filters
+// @route   GET /api/search/posts?q=<text>&mode=text|semantic&author=&category=&sentiment=&factCheck=&from=&to=&hasImage=&sort=relevance|recent&limit=<n>&cursor=<nextCursor>
+// @access  Private
+const searchPosts = async(req, res) => {
+  const repeatedParam = SEARCH_PARAMS.find(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+  if (repeatedParam) {
+    return res.status(400).json({ message: `${repeatedParam} must be given once, as text.` });
+  }
+
+  const q = (req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ message: 'Search query (q) is required.' });
+  }
+
+  const mode = req.query.mode || 'text';
+  if (!MODES.includes(mode)) {
+    return res.status(400).json({ message: `mode must be one of: ${MODES.join(', ')}.` });
+  }
+  const sort = req.query.sort || 'relevance';
+  if (!SORTS.includes(sort)) {
+    return res.status(400).json({ message: `sort must be one of: ${SORTS.join(', ')}.` });
+  }
+
+  const from = req.query.from ? parseDate(req.query.from) : null;
+  const to = req.query.to ? parseDate(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return res.status(400).json({ message: 'from and to must be valid dates.' });
+  }
+
+  if (mode === 'semantic') {
+    return searchPostsSemantically(req, res, { q, from, to });
+  }
+
+  const { limit, cursor, error } = parsePagination(req.query);
+  // Like the feed, the first page fixes a snapshot time so relevance scores stay stable across pages
+  const asOf = cursor ? new Date(cursor.asOf) : new Date();
+  const cursorFilter = error ? null : getCreatedAtCursorFilter(cursor);
+  const validScore = !cursor || sort !== 'relevance' || typeof cursor.score === 'number';
+  if (!cursorFilter || Number.isNaN(asOf.getTime()) || !validScore) {
+    return res.status(400).json({ message: 'Invalid pagination cursor.' });
+  }
+
+  try {
+    const { filter, error: filterError } = await buildSearchFilter(req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (!filter) {
+      return res.json({ posts: [], nextCursor: null });
+    }
+
+    const results = await runPostSearch({ query: q, filter, from, to, sort, asOf, cursor, cursorFilter, limit });
+
+    const { items, nextCursor } = buildPage(results, limit, (post) => ({
+      score: post.searchScore,
+      createdAt: post.createdAt,
+      id: post._id,
+      asOf,
+    }));
+
+    await Post.populate(items, { path: 'user', select: 'username profilePicture' });
+    items.forEach(post => {
+      post.snippet = getPostSnippet(post, q);
+    });
+
+    res.json({ posts: items, nextCursor });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error during post search.' });
+  }
+};
+
+export { searchPosts };
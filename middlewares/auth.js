@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../services/sessions.js';
 
 const protect = async(req, res, next) => {
   let token;
@@ -11,12 +12,22 @@ const protect = async(req, res, next) => {
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Access tokens are tied to a device session so logging out or revoking it takes effect immediately
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({ message: 'Not authorized, session expired or revoked' });
+      }
+      req.sessionId = decoded.sid;
+
       req.user = await User.findById(decoded.id).select('-password');
 
       if (!req.user) {
         return res.status(401).json({ message: 'Not authorized, user not found' });
       }
 
+      if (req.user.banned) {
+        return res.status(403).json({ message: 'This account has been banned' });
+      }
+
       next();
     } catch (error) {
       console.error(error);
@@ -27,4 +38,29 @@ const protect = async(req, res, next) => {
   }
 };
 
-export { protect };
+// EventSource cannot send headers: lets a route take the access token from ?token= instead (use before protect)
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Roles implied by each role: an admin can do everything a moderator can, and so on
+const ROLE_GRANTS = {
+  admin: ['admin', 'moderator', 'user'],
+  moderator: ['moderator', 'user'],
+  bot: ['bot', 'user'],
+  user: ['user'],
+};
+
+// Must run after protect: only lets users through whose role grants one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  const grantedRoles = req.user ? ROLE_GRANTS[req.user.getRole()] || [] : [];
+  if (roles.some(role => grantedRoles.includes(role))) {
+    return next();
+  }
+  return res.status(403).json({ message: 'Not authorized for this action' });
+};
+
+export { protect, allowQueryToken, authorize };
@@ -0,0 +1,36 @@
+// models/ApiUsage.js - Mongoose model for calls made to metered external APIs, one counter per provider per UTC day
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Usage history is kept this many days for the admin quota report
+const API_USAGE_RETENTION_DAYS = parseInt(process.env.API_USAGE_RETENTION_DAYS) || 90;
+
+const apiUsageSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    // UTC day, YYYY-MM-DD
+    day: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+apiUsageSchema.index({ provider: 1, day: 1 }, { unique: true });
+apiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: API_USAGE_RETENTION_DAYS * 24 * 60 * 60 });
+
+const ApiUsage = mongoose.model('ApiUsage', apiUsageSchema);
+
+export default ApiUsage;
@@ -0,0 +1,42 @@
+// models/Bookmark.js - Mongoose model for saved posts (optionally filed in a collection, with a personal note)
+import mongoose from 'mongoose';
+
+const bookmarkSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // Null for posts saved without a collection; the same post can be saved in several collections.
+    // (Not named `collection`, which Mongoose reserves for the model's MongoDB collection.)
+    bookmarkCollection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collection',
+      default: null,
+    },
+    // Only ever shown to the user who saved the post
+    note: {
+      type: String,
+      default: '',
+      maxlength: 2000,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+bookmarkSchema.index({ user: 1, post: 1, bookmarkCollection: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 }); // All of a user's saved posts, newest first
+bookmarkSchema.index({ bookmarkCollection: 1, createdAt: -1, _id: -1 }); // A collection's items, newest first
+bookmarkSchema.index({ post: 1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+export default Bookmark;
@@ -0,0 +1,72 @@
+// models/BotConfig.js - Mongoose model for automated posting bots (what each bot account fetches and posts)
+import mongoose from 'mongoose';
+
+const botConfigSchema = mongoose.Schema(
+  {
+    // The bot account the posts are published as
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Source of the posts (services/botSources): 'news' = Newsdata.io articles, 'quote' = ZenQuotes.io, 'rss' = any RSS/Atom feed
+    type: {
+      type: String,
+      enum: ['news', 'quote', 'rss'],
+      default: 'news',
+    },
+    // RSS 2.0 or Atom feed URL (rss bots only)
+    feedUrl: {
+      type: String,
+      default: null,
+    },
+    // Newsdata.io parameters (news bots only)
+    query: { type: String, default: null }, // Search keywords
+    category: { type: String, default: null }, // e.g., 'sports', 'technology'
+    language: { type: String, default: 'en' },
+    country: { type: String, default: null }, // e.g., 'us', 'in'
+    timezone: { type: String, default: null }, // e.g., 'America/Chicago'
+    // Prepended to every post, e.g. '⚽ Sports Update:'
+    titlePrefix: {
+      type: String,
+      default: '',
+    },
+    // Articles/quotes posted per run (Newsdata.io free tier max size is 10)
+    postLimit: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 10,
+    },
+    // Posted instead when a news bot finds no articles ('' = post nothing)
+    fallbackContent: {
+      type: String,
+      default: '',
+    },
+    // Image for fallback posts, and for items whose own image cannot be downloaded (rehosted per post)
+    defaultImageUrl: {
+      type: String,
+      default: null,
+    },
+    // When the bot runs: a cron expression evaluated in BOT_SCHEDULE_TIMEZONE.
+    // The default, every 40 minutes, keeps five news bots at 180 Newsdata.io calls a day (free tier: 200);
+    // runs past NEWSDATA_DAILY_QUOTA are skipped until the quota resets.
+    schedule: {
+      type: String,
+      default: '*/40 * * * *',
+    },
+    // Disabled bots are skipped by scheduled and manual runs
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const BotConfig = mongoose.model('BotConfig', botConfigSchema);
+
+export default BotConfig;
@@ -0,0 +1,78 @@
+// models/BotRun.js - Mongoose model for the history of bot executions (one record per run)
+import mongoose from 'mongoose';
+
+const botRunSchema = mongoose.Schema(
+  {
+    bot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BotConfig',
+      required: true,
+    },
+    // What started the run: the bot's own schedule or an admin
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      required: true,
+    },
+    // running -> succeeded, failed when an error stopped the run or the source could not be read,
+    // or skipped when the source's daily API quota was used up
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed', 'skipped'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    // Items the source returned
+    fetched: {
+      type: Number,
+      default: 0,
+    },
+    // Posts created
+    posted: {
+      type: Number,
+      default: 0,
+    },
+    // Items skipped as already posted, by reason (see services/newsDedupe.js)
+    skipped: {
+      link: { type: Number, default: 0 },
+      fingerprint: { type: Number, default: 0 },
+      similarTitle: { type: Number, default: 0 },
+    },
+    // Whether the fallback content was posted
+    fallback: {
+      type: Boolean,
+      default: false,
+    },
+    // Images that could not be downloaded or rehosted (the default image, or none, was used instead)
+    imageFailures: {
+      type: Number,
+      default: 0,
+    },
+    // Requests made to the source's API
+    apiCalls: {
+      type: Number,
+      default: 0,
+    },
+    // What went wrong (source errors, or the error that stopped the run)
+    errorMessages: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+botRunSchema.index({ bot: 1, createdAt: -1, _id: -1 }); // Run history per bot, newest first
+
+const BotRun = mongoose.model('BotRun', botRunSchema);
+
+export default BotRun;
@@ -0,0 +1,42 @@
+// models/Collection.js - Mongoose model for named collections of bookmarked posts
+import mongoose from 'mongoose';
+
+const collectionSchema = mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    // 'private' collections are only visible to their owner; anyone signed in can view 'shared' ones
+    visibility: {
+      type: String,
+      enum: ['private', 'shared'],
+      default: 'private',
+    },
+    itemCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true }); // Names are unique per owner
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
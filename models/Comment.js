@@ -0,0 +1,57 @@
+// models/Comment.js - Mongoose model for post comments and their replies
+import mongoose from 'mongoose';
+
+const commentSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The comment this one replies to; null for top-level comments
+    parentComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    likes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Number of direct replies, so clients know which threads to expand
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when a moderator hides the comment after a report
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Cursor pagination of a post's top-level comments or of one comment's replies
+commentSchema.index({ post: 1, parentComment: 1, createdAt: -1, _id: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -0,0 +1,60 @@
+// models/IngestedItem.js - Mongoose model for news items bots have posted, used to skip them on later runs
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Records are forgotten after this many days, so a story can only come back once it is long gone
+const NEWS_DEDUPE_RETENTION_DAYS = parseInt(process.env.NEWS_DEDUPE_RETENTION_DAYS) || 90;
+
+const ingestedItemSchema = mongoose.Schema(
+  {
+    // Article link without tracking parameters, fragment, "www." or trailing slash
+    canonicalLink: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash of the normalized title and description, catching the same article under another link
+    fingerprint: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      default: '',
+    },
+    // Significant title words, for near-duplicate titles from other sources
+    titleTokens: {
+      type: [String],
+      default: [],
+    },
+    // Where the item came from (e.g., the Newsdata.io source_id)
+    source: {
+      type: String,
+      default: null,
+    },
+    bot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BotConfig',
+      default: null,
+    },
+    // The post made from the item (null while it is being posted)
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ingestedItemSchema.index({ titleTokens: 1, createdAt: -1 });
+ingestedItemSchema.index({ createdAt: 1 }, { expireAfterSeconds: NEWS_DEDUPE_RETENTION_DAYS * 24 * 60 * 60 });
+
+const IngestedItem = mongoose.model('IngestedItem', ingestedItemSchema);
+
+export default IngestedItem;
@@ -0,0 +1,68 @@
+// models/Job.js - Mongoose model for background jobs processed by the job queue
+import mongoose from 'mongoose';
+
+const jobSchema = mongoose.Schema(
+  {
+    // Name of the registered handler that processes this job (e.g., 'analyzePost')
+    type: {
+      type: String,
+      required: true,
+    },
+    // Arbitrary data passed to the handler
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Optional reference to the post this job works on, used for status lookups
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+    },
+    // queued -> processing -> completed, or back to queued for a retry, or dead once retries run out
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'dead'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // The job is not picked up before this time (used for retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set when a worker claims the job; stale locks are reclaimed after the lock timeout
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+jobSchema.index({ status: 1, runAt: 1 }); // Worker polling
+jobSchema.index({ post: 1, createdAt: -1 }); // Status lookups per post
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,49 @@
+// models/Lease.js - Mongoose model for lease locks that let one server instance at a time run a scheduled job
+import mongoose from 'mongoose';
+
+const leaseSchema = mongoose.Schema(
+  {
+    // What the lease guards (e.g., 'bot:<BotConfig id>')
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Instance holding the lease (hostname:pid), or null once released
+    holder: {
+      type: String,
+      default: null,
+    },
+    // Changes on every acquisition, so an instance that lost its lease cannot extend or release the next holder's
+    token: {
+      type: String,
+      default: null,
+    },
+    acquiredAt: {
+      type: Date,
+      default: null,
+    },
+    // The holder's last heartbeat; each one pushes expiresAt further out
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    // After this time the lease is free again, even if the holder never released it (e.g., it crashed)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Latest scheduled occurrence run under this lease, so instances firing the same occurrence run it once
+    lastOccurrence: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+export default Lease;
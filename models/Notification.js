@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Read notifications are deleted by MongoDB's TTL monitor this long after they were read
+const NOTIFICATION_READ_TTL_DAYS = parseInt(process.env.NOTIFICATION_READ_TTL_DAYS) || 30;
 
 const notificationSchema = mongoose.Schema(
   {
@@ -8,23 +14,46 @@ const notificationSchema = mongoose.Schema(
       ref: 'User',
       required: true,
     },
-    // The type of notification (e.g., 'like', 'comment', 'follow')
+    // The type of notification (e.g., 'like', 'comment', 'reply', 'mention', 'repost', 'follow')
     type: {
       type: String,
-      enum: ['like', 'comment', 'follow'],
+      enum: ['like', 'comment', 'reply', 'mention', 'repost', 'follow'],
       required: true,
     },
-    // The user who initiated the action (e.g., the one who liked, commented, or followed)
+    // The user who initiated the action (e.g., the one who liked, commented, or followed); the latest one for grouped notifications
     initiator: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
-    // Reference to the post if the notification is related to a post (like, comment)
+    // Everyone grouped into this notification ("X and 4 others liked your post"), latest first
+    initiators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Every distinct user grouped into this notification, so a repeat action is never counted twice
+    actors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false,
+    },
+    // How many people were grouped into this notification
+    count: {
+      type: Number,
+      default: 1,
+    },
+    // Reference to the post if the notification is related to a post (like, comment, reply, mention, repost)
     post: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Post',
-      required: function() { return this.type === 'like' || this.type === 'comment'; }, // Required only for 'like' and 'comment' types
+      required: function() { return this.type !== 'follow'; }, // Not required for 'follow'
+    },
+    // The comment that was written or liked (comment, reply, and likes on comments)
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
     },
     // A concise message for the notification
     message: {
@@ -36,12 +65,22 @@ const notificationSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // When the notification was read; drives the TTL cleanup
+    readAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
   },
 );
 
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 }); // Cursor pagination per recipient
+notificationSchema.index({ recipient: 1, type: 1, post: 1, comment: 1, read: 1, createdAt: -1 }); // Finding the group to join
+notificationSchema.index({ recipient: 1, type: 1, post: 1, read: 1, createdAt: -1 }); // Comment groups (any comment on the post)
+notificationSchema.index({ readAt: 1 }, { expireAfterSeconds: NOTIFICATION_READ_TTL_DAYS * 24 * 60 * 60 }); // Unread (readAt: null) never expire
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 export default Notification;
@@ -1,22 +1,5 @@
 import mongoose from 'mongoose';
 
-const commentSchema = mongoose.Schema(
-  {
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    text: {
-      type: String,
-      required: true,
-    },
-  },
-  {
-    timestamps: true,
-  },
-);
-
 // Define the schema for AI Analysis results
 const aiAnalysisSchema = mongoose.Schema(
   {
@@ -56,9 +39,10 @@ const postSchema = mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Empty only for plain reposts, which just share `repostOf`
     content: {
       type: String,
-      required: true,
+      required: function() { return !this.repostOf; },
     },
     image: {
       type: String,
@@ -69,14 +53,69 @@ const postSchema = mongoose.Schema(
         ref: 'User',
       },
     ],
-    comments: [commentSchema],
+    // The shared post for reposts (no content) and quote posts (with commentary in content)
+    repostOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      default: null,
+    },
+    // Set on quote posts whose original was deleted (repostOf is cleared then)
+    originalRemoved: {
+      type: Boolean,
+      default: false,
+    },
+    // How many reposts and quote posts share this post
+    repostCount: {
+      type: Number,
+      default: 0,
+    },
+    // Parsed from content on create/edit (utils/postContent.js): lowercased #tags and resolved @mentions
+    hashtags: [{ type: String }],
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Comments live in their own collection (models/Comment.js); this counts them for listings
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
     aiAnalysis: aiAnalysisSchema,
+    // Set when the author last edited content or image (previous versions are PostRevisions)
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when a moderator hides the post after a report; hidden posts are left out of every listing
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   },
 );
 
+postSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination of newest-first listings
+// Feed candidate sources (see services/feedRanking.js)
+postSchema.index({ user: 1, createdAt: -1 });
+postSchema.index({ 'aiAnalysis.category': 1, createdAt: -1 });
+postSchema.index({ 'aiAnalysis.topics': 1, createdAt: -1 });
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 }); // GET /api/posts/hashtag/:tag
+postSchema.index({ repostOf: 1, user: 1 }); // Reposts of a post, and whether a user already reposted it
+// Full-text search (see services/postSearch.js); matches in the post itself count more than in the AI summary
+postSchema.index(
+  { content: 'text', 'aiAnalysis.summary': 'text' },
+  { name: 'post_text_search', weights: { content: 3, 'aiAnalysis.summary': 1 } },
+);
+
 const Post = mongoose.model('Post', postSchema);
 
 export default Post;
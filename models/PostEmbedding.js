@@ -0,0 +1,31 @@
+// models/PostEmbedding.js - Mongoose model for the embedding vector of each post (kept out of Post documents)
+import mongoose from 'mongoose';
+
+const postEmbeddingSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+      unique: true,
+    },
+    // Provider and model that produced the vector, e.g. 'local:hashed-bow-256'; only same-model vectors are compared
+    model: {
+      type: String,
+      required: true,
+    },
+    vector: {
+      type: [Number],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+postEmbeddingSchema.index({ model: 1 });
+
+const PostEmbedding = mongoose.model('PostEmbedding', postEmbeddingSchema);
+
+export default PostEmbedding;
@@ -0,0 +1,34 @@
+// models/PostRevision.js - Mongoose model for previous versions of edited posts
+import mongoose from 'mongoose';
+
+const postRevisionSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // Content and image as they were before the edit
+    content: {
+      type: String,
+      required: true,
+    },
+    image: {
+      type: String,
+    },
+    // When this version was first published (post creation or the edit that produced it)
+    publishedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // createdAt = when this version was replaced
+  },
+);
+
+postRevisionSchema.index({ post: 1, createdAt: -1, _id: -1 });
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+export default PostRevision;
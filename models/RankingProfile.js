@@ -0,0 +1,53 @@
+// models/RankingProfile.js - Mongoose model for feed ranking profiles (weights and experiment traffic share)
+import mongoose from 'mongoose';
+
+// Defaults mirror DEFAULT_RANKING_WEIGHTS in services/feedRanking.js
+const rankingWeightsSchema = mongoose.Schema(
+  {
+    network: { type: Number, default: 100 }, // Posts from followed users or own posts
+    category: { type: Number, default: 10 }, // Per like in the post's category
+    topic: { type: Number, default: 5 }, // Per like in each of the post's topics
+    recency: { type: Number, default: 5 }, // Max points for a brand new post
+    recencyDecayDays: { type: Number, default: 5, min: 0.01 }, // One recency point lost per this many days
+    toxicity: { type: Number, default: -50 }, // Applied when toxicity was detected
+  },
+  {
+    _id: false,
+  },
+);
+
+const rankingProfileSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    weights: {
+      type: rankingWeightsSchema,
+      default: () => ({}),
+    },
+    // Relative share of users assigned to this profile among active profiles (0 = nobody)
+    trafficWeight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const RankingProfile = mongoose.model('RankingProfile', rankingProfileSchema);
+
+export default RankingProfile;
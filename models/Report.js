@@ -0,0 +1,104 @@
+// models/Report.js - Mongoose model for user/AI reports of posts, comments and accounts (moderation queue)
+import mongoose from 'mongoose';
+
+// One entry per moderator action on a report, kept as an audit trail
+const reportActionSchema = mongoose.Schema(
+  {
+    // 'created', 'claimed', 'released', 'hide', 'remove', 'dismiss'
+    action: {
+      type: String,
+      required: true,
+    },
+    // Null for automatic actions (e.g., a report raised by toxicity detection)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+const reportSchema = mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ['post', 'comment', 'user'],
+      required: true,
+    },
+    // The post for 'post' reports, and the post holding the comment for 'comment' reports
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: function() { return this.targetType !== 'user'; },
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      required: function() { return this.targetType === 'comment'; },
+    },
+    // The reported account, or the author of the reported post/comment
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The user who filed the report; null when raised automatically
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ['user', 'ai'],
+      default: 'user',
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'harassment', 'hate', 'misinformation', 'violence', 'sexual', 'toxicity', 'other'],
+      required: true,
+    },
+    details: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'claimed', 'resolved'],
+      default: 'open',
+    },
+    // The moderator working on the report
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resolution: {
+      type: String,
+      enum: ['hide', 'remove', 'dismiss', null],
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    actions: [reportActionSchema],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 }); // Moderation queue listing
+reportSchema.index({ targetType: 1, post: 1, comment: 1, targetUser: 1, status: 1 }); // Duplicate checks
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -0,0 +1,54 @@
+// models/Session.js - Mongoose model for a device login session (one refresh token family)
+import mongoose from 'mongoose';
+
+const sessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 hash of the only refresh token that may currently be used for this session
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of refresh tokens already rotated out; presenting one of them means the family leaked
+    previousTokenHashes: [{ type: String }],
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // e.g., 'logout', 'revoked', 'reuse-detected'
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes sessions once they expire
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,7 +1,6 @@
 // models/User.js - Mongoose model for User
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 
 const userSchema = mongoose.Schema(
   {
@@ -19,6 +18,23 @@ const userSchema = mongoose.Schema(
       type: String,
       required: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Ids of the only password reset / email verification tokens that may still be used (see services/accountTokens.js)
+    passwordResetTokenId: {
+      type: String,
+      select: false,
+    },
+    emailVerificationTokenId: {
+      type: String,
+      select: false,
+    },
     profilePicture: {
       type: String,
       default: 'https://placehold.co/150x150/cccccc/ffffff?text=Profile',
@@ -35,6 +51,12 @@ const userSchema = mongoose.Schema(
         ref: 'User',
       },
     ],
+    // Access role checked by the authorize() middleware. isAdmin/isBot are kept in sync with it.
+    role: {
+      type: String,
+      enum: ['user', 'moderator', 'admin', 'bot'],
+      default: 'user',
+    },
     isAdmin: {
       type: Boolean,
       default: false,
@@ -43,6 +65,25 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: false, // NEW FIELD: Indicate if the user is a bot
     },
+    banned: {
+      type: Boolean,
+      default: false,
+    },
+    bannedAt: {
+      type: Date,
+      default: null,
+    },
+    banReason: {
+      type: String,
+      default: '',
+    },
+    // Notification types the user does not want to receive (values of Notification.type)
+    notificationSettings: {
+      mutedTypes: {
+        type: [String],
+        default: [],
+      },
+    },
     userPreferences: { // NEW FIELD: Store user's aggregated preferences
       likedCategories: {
         type: Map, // Key: category name (string), Value: count (Number)
@@ -64,24 +105,31 @@ const userSchema = mongoose.Schema(
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next(); // Don't re-hash an already hashed password
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Effective role: accounts created before roles existed only carry the isAdmin/isBot flags
+userSchema.methods.getRole = function() {
+  if (this.role && this.role !== 'user') {
+    return this.role;
+  }
+  if (this.isAdmin) {
+    return 'admin';
+  }
+  if (this.isBot) {
+    return 'bot';
+  }
+  return 'user';
+};
+
 // Compare password method
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-};
-
 const User = mongoose.model('User', userSchema);
 
 export default User;
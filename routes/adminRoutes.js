@@ -0,0 +1,57 @@
+// routes/adminRoutes.js - Admin-only API routes
+import express from 'express';
+import {
+  getRankingProfiles,
+  createRankingProfile,
+  updateRankingProfile,
+  deleteRankingProfile,
+} from '../controllers/rankingProfileController.js';
+import {
+  getUsers,
+  getUserDetails,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  triggerBotRun,
+  getApiQuotas,
+  getJobLocks,
+} from '../controllers/adminController.js';
+import {
+  getBots,
+  getBot,
+  createBot,
+  updateBot,
+  getBotRuns,
+  deleteBot,
+} from '../controllers/botConfigController.js';
+import { protect, authorize } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(protect, authorize('admin'));
+
+// User management
+router.get('/users', getUsers);
+router.get('/users/:id', getUserDetails);
+router.put('/users/:id/ban', banUser);
+router.put('/users/:id/unban', unbanUser);
+router.put('/users/:id/role', updateUserRole);
+
+// Bots
+router.post('/bots/trigger', triggerBotRun);
+router.route('/bots').get(getBots).post(createBot);
+router.route('/bots/:id').get(getBot).put(updateBot).delete(deleteBot);
+router.get('/bots/:id/runs', getBotRuns);
+
+// External API quotas
+router.get('/quotas', getApiQuotas);
+
+// Scheduled-job locks
+router.get('/locks', getJobLocks);
+
+// Feed ranking profiles and A/B experiments
+router.route('/ranking-profiles').get(getRankingProfiles).post(createRankingProfile);
+router.route('/ranking-profiles/:id').put(updateRankingProfile).delete(deleteRankingProfile);
+
+export default router;
@@ -1,6 +1,6 @@
 // routes/aiRoutes.js - Routes for AI features
 import express from 'express';
-import { analyzePost } from '../controllers/aiController.js';
+import { analyzePost, getAnalysisJobStatus } from '../controllers/aiController.js';
 import { protect } from '../middlewares/auth.js'; // Import the authentication middleware
 
 const router = express.Router();
@@ -8,4 +8,7 @@ const router = express.Router();
 // Route to analyze a specific post by ID using AI
 router.post('/analyze/:postId', protect, analyzePost);
 
+// Route to check the status of the queued AI analysis for a post
+router.get('/jobs/:postId', protect, getAnalysisJobStatus);
+
 export default router;
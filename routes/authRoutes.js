@@ -3,6 +3,14 @@ import express from 'express';
 import {
   registerUser,
   loginUser,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getProfile,
   updateProfilePicture,
   followUser,
@@ -11,6 +19,7 @@ import {
   getSuggestedUsers,  // New: Import getSuggestedUsers
   getUserById,         // New: Import getUserById for viewing any profile
 } from '../controllers/authController.js';
+import { reportUser } from '../controllers/reportController.js';
 import { protect } from '../middlewares/auth.js';
 import upload from '../utils/upload.js';
 
@@ -18,6 +27,18 @@ const router = express.Router();
 
 router.post('/signup', registerUser);
 router.post('/login', loginUser);
+router.post('/refresh', refreshAccessToken); // Rotate refresh token, get a new access token
+router.post('/logout', protect, logoutUser); // Revoke the current device session
+
+// Device sessions of the current user
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+
+// Account recovery and email verification
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerificationEmail);
 
 // Protected routes for current user's profile and follow/unfollow actions
 router.get('/profile', protect, getProfile); // Get authenticated user's own profile
@@ -29,5 +50,6 @@ router.put('/unfollow/:id', protect, unfollowUser); // Unfollow a user by their
 router.get('/search', protect, searchUsers);           // Search users by username (query param)
 router.get('/suggested', protect, getSuggestedUsers);  // Get a list of suggested users to follow
 router.get('/:id', protect, getUserById);              // Get any user's profile by ID (Public profile view)
+router.post('/:id/report', protect, reportUser);       // Report a user account to moderators
 
 export default router;
@@ -0,0 +1,14 @@
+// routes/bookmarkRoutes.js - API routes for saved posts
+import express from 'express';
+import { getBookmarks, updateBookmarkNote } from '../controllers/bookmarkController.js';
+import { protect } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// All saved posts of the authenticated user
+router.get('/', protect, getBookmarks);
+
+// Edit the personal note on a saved post
+router.put('/:id', protect, updateBookmarkNote);
+
+export default router;
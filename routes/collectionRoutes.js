@@ -0,0 +1,18 @@
+// routes/collectionRoutes.js - API routes for collections of saved posts
+import express from 'express';
+import {
+  getCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getCollectionItems,
+} from '../controllers/bookmarkController.js';
+import { protect } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.route('/').get(protect, getCollections).post(protect, createCollection);
+router.route('/:id').put(protect, updateCollection).delete(protect, deleteCollection);
+router.get('/:id/items', protect, getCollectionItems);
+
+export default router;
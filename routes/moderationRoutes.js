@@ -0,0 +1,23 @@
+// routes/moderationRoutes.js - Moderation queue routes
+import express from 'express';
+import {
+  getReports,
+  getReportById,
+  claimReport,
+  releaseReport,
+  resolveReport,
+} from '../controllers/reportController.js';
+import { protect, authorize } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every moderation route requires a moderator (admins included)
+router.use(protect, authorize('moderator'));
+
+router.get('/reports', getReports);
+router.get('/reports/:id', getReportById);
+router.put('/reports/:id/claim', claimReport);
+router.put('/reports/:id/release', releaseReport);
+router.put('/reports/:id/resolve', resolveReport);
+
+export default router;
@@ -4,18 +4,35 @@ import {
   getNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
+  getUnreadCount,
+  deleteNotification,
+  getNotificationSettings,
+  updateNotificationSettings,
+  streamNotifications,
 } from '../controllers/notificationController.js';
-import { protect } from '../middlewares/auth.js'; // Protect routes
+import { protect, allowQueryToken } from '../middlewares/auth.js'; // Protect routes
 
 const router = express.Router();
 
 // Get notifications for the authenticated user
 router.get('/', protect, getNotifications);
 
+// Number of unread notifications
+router.get('/unread-count', protect, getUnreadCount);
+
+// Muted notification types
+router.route('/settings').get(protect, getNotificationSettings).put(protect, updateNotificationSettings);
+
+// Real-time stream of new notifications and unread count changes (Server-Sent Events)
+router.get('/stream', allowQueryToken, protect, streamNotifications);
+
 // Mark a specific notification as read
 router.put('/:id/read', protect, markNotificationAsRead);
 
 // Mark all notifications for the authenticated user as read
 router.put('/read-all', protect, markAllNotificationsAsRead);
 
+// Delete a notification
+router.delete('/:id', protect, deleteNotification);
+
 export default router;
@@ -9,13 +9,27 @@ import {
   createPost,
   getAllPosts,
   getPostById,
+  updatePost,
+  getPostRevisions,
+  getRelatedPosts,
   deletePost,
+  repostPost,
+  undoRepost,
   likePost,
-  addComment,
   getFeedPosts,
   getTrendingTopics,
+  getPostsByHashtag,
   getPostsByTopic,
 } from '../controllers/postController.js';
+import {
+  addComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  likeComment,
+} from '../controllers/commentController.js';
+import { bookmarkPost, unbookmarkPost } from '../controllers/bookmarkController.js';
+import { reportPost, reportComment } from '../controllers/reportController.js';
 
 dotenv.config();
 
@@ -67,8 +81,21 @@ router.route('/').post(
 router.route('/feed').get(protect, getFeedPosts);
 router.get('/trending-topics', protect, getTrendingTopics);
 router.get('/by-topic', protect, getPostsByTopic);
-router.route('/:id').get(protect, getPostById).delete(protect, deletePost);
+router.get('/hashtag/:tag', protect, getPostsByHashtag);
+router.route('/:id')
+  .get(protect, getPostById)
+  .put(protect, upload.single('image'), updatePost) // Edit content and/or image (owner only)
+  .delete(protect, deletePost);
+router.get('/:id/revisions', protect, getPostRevisions);
+router.get('/:id/related', protect, getRelatedPosts);
 router.route('/:id/like').put(protect, likePost);
-router.route('/:id/comment').post(protect, addComment);
+router.route('/:id/repost').post(protect, repostPost).delete(protect, undoRepost);
+router.route('/:id/bookmark').post(protect, bookmarkPost).delete(protect, unbookmarkPost);
+router.route('/:id/comment').post(protect, addComment); // Kept for existing clients; same as POST /:id/comments
+router.route('/:id/comments').get(protect, getComments).post(protect, addComment);
+router.route('/:id/comments/:commentId').put(protect, updateComment).delete(protect, deleteComment);
+router.put('/:id/comments/:commentId/like', protect, likeComment);
+router.post('/:id/report', protect, reportPost);
+router.post('/:id/comments/:commentId/report', protect, reportComment);
 
 export default router;
@@ -0,0 +1,11 @@
+// routes/searchRoutes.js - API routes for search
+import express from 'express';
+import { searchPosts } from '../controllers/searchController.js';
+import { protect } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Full-text post search with filters
+router.get('/posts', protect, searchPosts);
+
+export default router;
@@ -0,0 +1,51 @@
+// scripts/migrateEmbeddedComments.js - One-off move of comments embedded in posts into the comments collection
+// Usage: npm run migrate:comments (safe to run again; already migrated posts have no embedded comments left)
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+
+const migrate = async() => {
+  await connectDB();
+
+  // The Post schema no longer declares `comments`, so read the raw documents
+  const cursor = Post.collection.find({ 'comments.0': { $exists: true } });
+  let migratedPosts = 0;
+  let migratedComments = 0;
+
+  for await (const post of cursor) {
+    const comments = post.comments.map(comment => ({
+      _id: comment._id, // Keeps existing report references valid
+      post: post._id,
+      user: comment.user,
+      parentComment: null,
+      text: comment.text,
+      likes: [],
+      replyCount: 0,
+      hidden: Boolean(comment.hidden),
+      createdAt: comment.createdAt || post.createdAt,
+      updatedAt: comment.updatedAt || comment.createdAt || post.createdAt,
+    }));
+
+    // ordered: false skips comments already copied by an interrupted earlier run
+    await Comment.collection.insertMany(comments, { ordered: false }).catch(error => {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    });
+    const commentCount = await Comment.countDocuments({ post: post._id });
+    await Post.collection.updateOne({ _id: post._id }, { $set: { commentCount }, $unset: { comments: '' } });
+
+    migratedPosts += 1;
+    migratedComments += comments.length;
+  }
+
+  console.log(`Migrated ${migratedComments} comments from ${migratedPosts} posts.`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Comment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
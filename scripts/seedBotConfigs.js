@@ -0,0 +1,84 @@
+// scripts/seedBotConfigs.js - Creates the original built-in bots (formerly hardcoded in botController.js)
+// Usage: npm run seed:bots (safe to run again; bots that already have a configuration are left as they are)
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import BotConfig from '../models/BotConfig.js';
+import { findOrCreateBotUser } from '../controllers/botConfigController.js';
+
+const DEFAULT_BOTS = [
+  {
+    username: 'BreakingNewsBot',
+    query: 'top',
+    category: 'top',
+    titlePrefix: '🚨 BREAKING NEWS:',
+    postLimit: 3,
+    type: 'news',
+  },
+  {
+    username: 'ExploreSports',
+    category: 'sports',
+    country: 'us',
+    timezone: 'America/New_York',
+    titlePrefix: '⚽ Sports Update:',
+    postLimit: 3,
+    type: 'news',
+  },
+  {
+    username: 'TechTrendsBot',
+    category: 'technology',
+    country: 'us',
+    timezone: 'America/Los_Angeles',
+    titlePrefix: '💻 Tech Trends:',
+    postLimit: 3,
+    type: 'news',
+  },
+  {
+    username: 'WeatherAlerts',
+    query: 'weather OR forecast',
+    country: 'us',
+    timezone: 'America/Chicago',
+    titlePrefix: '☁️ Weather Alert:',
+    postLimit: 3,
+    fallbackContent: 'No specific weather news right now, but always check your local forecast! Stay safe out there.',
+    type: 'news',
+  },
+  {
+    username: 'Entertainment',
+    category: 'entertainment',
+    country: 'us',
+    timezone: 'America/New_York',
+    titlePrefix: '🎬 Entertainment Buzz:',
+    postLimit: 3,
+    type: 'news',
+  },
+  {
+    username: 'Motivation',
+    language: null,
+    titlePrefix: '✨ Daily Motivation:',
+    postLimit: 1,
+    type: 'quote',
+  },
+];
+
+const seed = async() => {
+  await connectDB();
+
+  let created = 0;
+  for (const { username, ...settings } of DEFAULT_BOTS) {
+    const user = await findOrCreateBotUser(username); // Reuses bot accounts created by hand with isBot: true
+    if (await BotConfig.exists({ user: user._id })) {
+      continue;
+    }
+    await BotConfig.create({ ...settings, user: user._id });
+    created += 1;
+  }
+
+  console.log(`Created ${created} of ${DEFAULT_BOTS.length} default bots.`);
+};
+
+seed()
+  .catch(error => {
+    console.error('Bot seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,86 @@
+// services/accountTokens.js - Signed, single-use, expiring tokens for password reset and email verification
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { sendMail } from './mail/index.js';
+
+dotenv.config();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Per purpose: token lifetime and the User field holding the id of the only token that may still be used
+const TOKEN_PURPOSES = {
+  'password-reset': {
+    expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+    userField: 'passwordResetTokenId',
+  },
+  'email-verification': {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    userField: 'emailVerificationTokenId',
+  },
+};
+
+// Issues a token for a purpose; any earlier token for the same purpose stops working
+const issueAccountToken = async(user, purpose) => {
+  const { expiresIn, userField } = TOKEN_PURPOSES[purpose];
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { [userField]: tokenId } });
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
+    expiresIn,
+    audience: purpose, // A token for one purpose can't be used for another (or as an access token)
+    jwtid: tokenId,
+  });
+};
+
+/**
+ * Verifies a token and marks it as used.
+ * @param {string} token - The token from the email link.
+ * @param {string} purpose - 'password-reset' or 'email-verification'.
+ * @returns {object|null} The user the token belongs to, or null if it is invalid, expired or already used.
+ */
+const consumeAccountToken = async(token, purpose) => {
+  const { userField } = TOKEN_PURPOSES[purpose];
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch {
+    return null;
+  }
+  // Clearing the stored id in the same atomic update makes the token single-use
+  return User.findOneAndUpdate(
+    { _id: decoded.id, [userField]: decoded.jti },
+    { $unset: { [userField]: 1 } },
+    { new: true },
+  );
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sendVerificationEmail = async(user) => {
+  const token = await issueAccountToken(user, 'email-verification');
+  const link = `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${TOKEN_PURPOSES['email-verification'].expiresIn}.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by opening this link:</p>` +
+      `<p><a href="${link}">Confirm email</a></p>`,
+  });
+};
+
+const sendPasswordResetEmail = async(user) => {
+  const token = await issueAccountToken(user, 'password-reset');
+  const link = `${CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\n` +
+      `The link expires in ${TOKEN_PURPOSES['password-reset'].expiresIn} and can be used once. If it wasn't you, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset your password. If it was you, open this link:</p>` +
+      `<p><a href="${link}">Reset password</a></p><p>If it wasn't you, ignore this email.</p>`,
+  });
+};
+
+export { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail };
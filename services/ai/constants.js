@@ -0,0 +1,15 @@
+// services/ai/constants.js - Values shared by every AI provider
+
+// Categories a post can be classified into
+const AI_CATEGORIES = ['News', 'Sports', 'Technology', 'Entertainment', 'Politics', 'Art', 'Science', 'Education', 'Lifestyle', 'Travel', 'Food', 'Health', 'Personal Update', 'Opinion', 'Humor', 'Other'];
+
+// Capabilities a provider can implement, and the provider method that backs each one
+const AI_CAPABILITIES = {
+  sentiment: 'analyzeSentiment', // (text) => 'Positive' | 'Negative' | 'Neutral' | 'Unknown'
+  emotion: 'detectEmotions', // (text) => [{ emotion, score }]
+  toxicity: 'detectToxicity', // (text) => { detected, details }
+  content: 'analyzeContent', // (text) => { topics, summary, category, factCheck }
+  embedding: 'embedText', // (text) => { model, vector } (vectors are only comparable within the same model)
+};
+
+export { AI_CATEGORIES, AI_CAPABILITIES };
@@ -0,0 +1,124 @@
+// services/ai/geminiProvider.js - Topics, summary, category and fact check via Google Gemini
+import dotenv from 'dotenv';
+import { AI_CATEGORIES } from './constants.js';
+import { consumeQuota } from '../quotaTracker.js';
+
+dotenv.config();
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+const GEMINI_EMBEDDING_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_EMBEDDING_MODEL}:embedContent?key=${GEMINI_API_KEY}`;
+
+const buildPrompt = (postContent) => `Analyze the following social media post.
+        1. Extract 3-5 distinct, concise, specific, and highly relevant keywords or short phrases as topics. These should be like hashtags you'd find on Twitter (e.g., ["AI", "MachineLearning", "WebDev"]).
+        2. Provide a concise summary of the post (max 50 words).
+        3. Classify the post into ONE of the following categories: ${AI_CATEGORIES.join(', ')}. If none fit well, use "Other".
+        4. **Fact Check**: Based on common knowledge and general understanding, assess the factual accuracy of the post.
+           - If the post's core factual claims are almost certainly true/supported by widely accepted information, return 'support'.
+           - If the factual accuracy is uncertain, requires more context, or cannot be determined with high confidence, return 'neutral'.
+           - If the post contains statements that directly contradict widely accepted facts, return 'oppose'.
+
+        Provide the output in JSON format like this:
+        {
+          "topics": ["topic1", "topic2", "topic3"],
+          "summary": "Concise summary of the post.",
+          "category": "CategoryName",
+          "factCheck": "support|neutral|oppose"
+        }
+
+        Post: "${postContent}"`;
+
+const geminiProvider = {
+  name: 'gemini',
+
+  isConfigured: () => Boolean(GEMINI_API_KEY),
+
+  analyzeContent: async(text) => {
+    if (!GEMINI_API_KEY) {
+      throw new Error('Gemini API key missing.');
+    }
+
+    const geminiPayload = {
+      contents: [{ role: 'user', parts: [{ text: buildPrompt(text) }] }],
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: {
+          type: 'OBJECT',
+          properties: {
+            'topics': {
+              'type': 'ARRAY',
+              'items': { 'type': 'STRING' },
+            },
+            'summary': { 'type': 'STRING' },
+            'category': { 'type': 'STRING', 'enum': AI_CATEGORIES },
+            'factCheck': { 'type': 'STRING', 'enum': ['support', 'neutral', 'oppose'] },
+          },
+          'required': ['topics', 'summary', 'category', 'factCheck'],
+        },
+      },
+    };
+
+    await consumeQuota('gemini');
+    const geminiResponse = await fetch(GEMINI_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(geminiPayload),
+    });
+
+    if (!geminiResponse.ok) {
+      const geminiErrorText = await geminiResponse.text();
+      console.error('Gemini API Error (Topics/Summary/Category/FactCheck):', geminiResponse.status, geminiErrorText);
+      throw new Error(`Gemini API error (${geminiResponse.status}): ${geminiErrorText}`);
+    }
+
+    const geminiResult = await geminiResponse.json();
+    if (geminiResult.candidates && geminiResult.candidates.length > 0 &&
+        geminiResult.candidates[0].content && geminiResult.candidates[0].content.parts &&
+        geminiResult.candidates[0].content.parts.length > 0) {
+      try {
+        const jsonString = geminiResult.candidates[0].content.parts[0].text;
+        return JSON.parse(jsonString); // Return the parsed object
+      } catch (parseError) {
+        console.error('Failed to parse Gemini JSON response:', parseError);
+        throw new Error('Error parsing Gemini JSON response.');
+      }
+    }
+    throw new Error('No valid Gemini response found.');
+  },
+
+  embedText: async(text) => {
+    if (!GEMINI_API_KEY) {
+      throw new Error('Gemini API key missing.');
+    }
+
+    await consumeQuota('gemini');
+    const response = await fetch(GEMINI_EMBEDDING_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: `models/${GEMINI_EMBEDDING_MODEL}`,
+        content: { parts: [{ text }] },
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Gemini API Error (Embedding):', response.status, errorText);
+      throw new Error(`Gemini API error (${response.status}): ${errorText}`);
+    }
+
+    const result = await response.json();
+    if (!result.embedding || !Array.isArray(result.embedding.values)) {
+      throw new Error('No valid Gemini embedding found.');
+    }
+    return { model: `gemini:${GEMINI_EMBEDDING_MODEL}`, vector: result.embedding.values };
+  },
+};
+
+export default geminiProvider;
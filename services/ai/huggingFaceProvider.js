@@ -0,0 +1,146 @@
+// services/ai/huggingFaceProvider.js - Sentiment, emotion and toxicity via the Hugging Face Inference API
+import dotenv from 'dotenv';
+import { consumeQuota } from '../quotaTracker.js';
+
+dotenv.config();
+
+const HF_API_TOKEN = process.env.HF_API_TOKEN;
+const HF_SENTIMENT_MODEL = process.env.HF_SENTIMENT_MODEL || 'cardiffnlp/twitter-roberta-base-sentiment';
+const HF_EMOTION_MODEL = process.env.HF_EMOTION_MODEL || 'j-hartmann/emotion-english-distilroberta-base';
+const HF_TOXICITY_MODEL = process.env.HF_TOXICITY_MODEL || 'cardiffnlp/twitter-roberta-base-offensive';
+const HF_EMBEDDING_MODEL = process.env.HF_EMBEDDING_MODEL || 'sentence-transformers/all-MiniLM-L6-v2';
+
+const HF_INFERENCE_API_BASE_URL = 'https://api-inference.huggingface.co/models/';
+
+// Helper to call Hugging Face Inference API
+const callHuggingFaceAPI = async(modelId, inputs) => {
+  if (!HF_API_TOKEN) {
+    console.error(`Hugging Face API token is missing for model: ${modelId}`);
+    throw new Error('Hugging Face API token missing.');
+  }
+
+  await consumeQuota('huggingface');
+  const response = await fetch(`${HF_INFERENCE_API_BASE_URL}${modelId}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${HF_API_TOKEN}`,
+    },
+    body: JSON.stringify({
+      inputs: inputs,
+      options: {
+        wait_for_model: true, // Wait for the model to load if it's not active
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Hugging Face API Error for ${modelId}:`, response.status, errorText);
+    throw new Error(`HF API error (${response.status}): ${errorText}`);
+  }
+
+  return response.json();
+};
+
+// Function to map Hugging Face sentiment scores to custom sentiment labels (for cardiffnlp/twitter-roberta-base-sentiment)
+const getSentimentLabel = (scores) => {
+  let predictedLabel = 'Unknown';
+  let maxScore = -1;
+  let finalLabel = '';
+
+  for (const item of scores) {
+    if (item.score > maxScore) {
+      maxScore = item.score;
+      finalLabel = item.label;
+    }
+  }
+
+  if (finalLabel === 'LABEL_0') {
+    predictedLabel = 'Negative';
+  } else if (finalLabel === 'LABEL_1') {
+    predictedLabel = 'Neutral';
+  } else if (finalLabel === 'LABEL_2') {
+    predictedLabel = 'Positive';
+  }
+
+  return predictedLabel;
+};
+
+// Function to process emotion labels from j-hartmann/emotion-english-distilroberta-base
+const getEmotionLabels = (scores, threshold = 0.5) => {
+  return scores.filter(emotion => emotion.score >= threshold).map(emotion => ({
+    emotion: emotion.label.toLowerCase(),
+    score: parseFloat(emotion.score.toFixed(2)),
+  }));
+};
+
+// Sentence-transformer models return one vector; plain encoders return one per token, which are mean-pooled
+const getSentenceVector = (result) => {
+  const output = Array.isArray(result[0]) && Array.isArray(result[0][0]) ? result[0] : result;
+  if (!Array.isArray(output[0])) {
+    return output;
+  }
+  return output[0].map((_, dimension) => output.reduce((sum, token) => sum + token[dimension], 0) / output.length);
+};
+
+// Function to process toxicity labels from cardiffnlp/twitter-roberta-base-offensive
+const getToxicityScores = (scores, threshold = 0.5) => {
+  const toxicLabels = {};
+  let isToxic = false;
+
+  const categories = scores[0] || scores;
+
+  if (!Array.isArray(categories)) {
+    console.warn('Toxicity model returned unexpected format for categories:', scores);
+    return { detected: false, details: { error: 'Unexpected response format for categories' } };
+  }
+
+  for (const item of categories) {
+    if (item.score >= threshold) {
+      const cleanLabel = item.label.toLowerCase().replace(/_/g, ' ');
+      toxicLabels[cleanLabel] = parseFloat(item.score.toFixed(2));
+
+      if (cleanLabel === 'offensive') {
+        isToxic = true;
+      }
+    }
+  }
+  return { detected: isToxic, details: toxicLabels };
+};
+
+const huggingFaceProvider = {
+  name: 'huggingface',
+
+  isConfigured: () => Boolean(HF_API_TOKEN),
+
+  analyzeSentiment: async(text) => {
+    const result = await callHuggingFaceAPI(HF_SENTIMENT_MODEL, text);
+    if (Array.isArray(result) && Array.isArray(result[0])) {
+      return getSentimentLabel(result[0]);
+    }
+    console.warn('Unexpected sentiment output format. Using \'Unknown\'.', result);
+    return 'Unknown';
+  },
+
+  detectEmotions: async(text) => {
+    const result = await callHuggingFaceAPI(HF_EMOTION_MODEL, text);
+    if (Array.isArray(result) && Array.isArray(result[0])) {
+      return getEmotionLabels(result[0]);
+    }
+    console.warn('Unexpected emotion output format. Using empty array.', result);
+    return [];
+  },
+
+  detectToxicity: async(text) => {
+    const result = await callHuggingFaceAPI(HF_TOXICITY_MODEL, text);
+    return getToxicityScores(result);
+  },
+
+  embedText: async(text) => {
+    const result = await callHuggingFaceAPI(HF_EMBEDDING_MODEL, text);
+    return { model: `huggingface:${HF_EMBEDDING_MODEL}`, vector: getSentenceVector(result) };
+  },
+};
+
+export default huggingFaceProvider;
@@ -0,0 +1,92 @@
+// services/ai/index.js - AI provider registry and per-capability provider selection
+import dotenv from 'dotenv';
+import huggingFaceProvider from './huggingFaceProvider.js';
+import geminiProvider from './geminiProvider.js';
+import localProvider from './localProvider.js';
+import { AI_CAPABILITIES, AI_CATEGORIES } from './constants.js';
+
+dotenv.config();
+
+const providers = {
+  [huggingFaceProvider.name]: huggingFaceProvider,
+  [geminiProvider.name]: geminiProvider,
+  [localProvider.name]: localProvider,
+};
+
+// Provider used for a capability when nothing is configured and its API key is present.
+// Without the key, the local provider stands in so analysis still produces real values.
+const DEFAULT_PROVIDERS = {
+  sentiment: 'huggingface',
+  emotion: 'huggingface',
+  toxicity: 'huggingface',
+  content: 'gemini',
+  embedding: 'huggingface',
+};
+
+/**
+ * Returns the provider configured for a capability.
+ * Resolution order: AI_<CAPABILITY>_PROVIDER, then AI_PROVIDER, then the default provider if its
+ * key is set, then the local provider.
+ * @param {string} capability - One of 'sentiment', 'emotion', 'toxicity', 'content', 'embedding'.
+ * @returns {object} The provider implementing the capability.
+ */
+const getProvider = (capability) => {
+  const method = AI_CAPABILITIES[capability];
+  if (!method) {
+    throw new Error(`Unknown AI capability: ${capability}`);
+  }
+
+  const configuredName = process.env[`AI_${capability.toUpperCase()}_PROVIDER`] || process.env.AI_PROVIDER;
+  if (configuredName) {
+    const provider = providers[configuredName];
+    if (!provider || typeof provider[method] !== 'function') {
+      throw new Error(`AI provider "${configuredName}" does not support ${capability}.`);
+    }
+    return provider;
+  }
+
+  const defaultProvider = providers[DEFAULT_PROVIDERS[capability]];
+  return defaultProvider.isConfigured() ? defaultProvider : localProvider;
+};
+
+/**
+ * Counts the API calls running some capabilities will make, per provider (quota names match provider names).
+ * Misconfigured capabilities are left out; running them fails on its own.
+ * @param {Array<string>} capabilities - e.g. ['sentiment', 'content'].
+ * @returns {object} e.g. { huggingface: 3, gemini: 1 }
+ */
+const getProviderCalls = (capabilities) => {
+  const calls = {};
+  for (const capability of capabilities) {
+    try {
+      const { name } = getProvider(capability);
+      calls[name] = (calls[name] || 0) + 1;
+    } catch {
+      // Reported when the capability runs
+    }
+  }
+  return calls;
+};
+
+// Runs a capability through its configured provider (a misconfiguration rejects instead of throwing)
+const runCapability = async(capability, text) => {
+  const provider = getProvider(capability);
+  return provider[AI_CAPABILITIES[capability]](text);
+};
+
+const analyzeSentiment = (text) => runCapability('sentiment', text);
+const detectEmotions = (text) => runCapability('emotion', text);
+const detectToxicity = (text) => runCapability('toxicity', text);
+const analyzeContent = (text) => runCapability('content', text);
+const embedText = (text) => runCapability('embedding', text);
+
+export {
+  getProvider,
+  getProviderCalls,
+  analyzeSentiment,
+  detectEmotions,
+  detectToxicity,
+  analyzeContent,
+  embedText,
+  AI_CATEGORIES,
+};
@@ -0,0 +1,223 @@
+// services/ai/localProvider.js - Deterministic keyword/lexicon-based provider for dev, CI and offline environments
+// Needs no API keys or network access; the same text always produces the same analysis.
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'excellent', 'amazing', 'awesome', 'love', 'loved', 'like', 'happy', 'glad', 'best',
+  'wonderful', 'fantastic', 'nice', 'beautiful', 'win', 'won', 'success', 'successful', 'thanks', 'thank',
+  'excited', 'exciting', 'proud', 'brilliant', 'perfect', 'enjoy', 'enjoyed', 'fun', 'hope', 'inspiring',
+  'positive', 'improve', 'improved', 'celebrate', 'victory', 'record', 'breakthrough', 'cool',
+]);
+
+const NEGATIVE_WORDS = new Set([
+  'bad', 'terrible', 'awful', 'horrible', 'hate', 'hated', 'sad', 'angry', 'worst', 'poor', 'fail', 'failed',
+  'failure', 'lose', 'lost', 'loss', 'crisis', 'disaster', 'death', 'dead', 'killed', 'war', 'attack',
+  'problem', 'broken', 'wrong', 'scary', 'afraid', 'worried', 'upset', 'pain', 'crash', 'injured', 'storm',
+  'danger', 'dangerous', 'negative', 'decline', 'collapse',
+]);
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', 'isnt', 'wasnt', 'cant', 'wont', 'without']);
+
+// Keyed by the labels the Hugging Face emotion model uses, so both providers produce the same vocabulary
+const EMOTION_LEXICON = {
+  joy: ['happy', 'joy', 'love', 'glad', 'excited', 'great', 'awesome', 'amazing', 'celebrate', 'fun', 'enjoy', 'proud', 'win'],
+  sadness: ['sad', 'miss', 'lost', 'loss', 'cry', 'grief', 'lonely', 'unfortunately', 'death', 'sorry', 'heartbroken'],
+  anger: ['angry', 'hate', 'furious', 'outrage', 'mad', 'annoyed', 'unfair', 'rage', 'disgrace'],
+  fear: ['afraid', 'scared', 'scary', 'fear', 'worried', 'danger', 'threat', 'warning', 'alert', 'storm', 'panic'],
+  surprise: ['wow', 'surprise', 'surprised', 'unexpected', 'shocking', 'sudden', 'unbelievable', 'breaking'],
+  disgust: ['disgusting', 'gross', 'nasty', 'vile', 'sickening', 'yuck'],
+};
+
+const OFFENSIVE_WORDS = new Set([
+  'idiot', 'idiots', 'stupid', 'moron', 'dumb', 'loser', 'trash', 'shut up', 'hate you', 'kill yourself',
+  'fuck', 'fucking', 'shit', 'bitch', 'bastard', 'asshole', 'damn', 'crap', 'retard', 'scum',
+]);
+
+// Ordered: the first category with the most keyword hits wins
+const CATEGORY_KEYWORDS = {
+  'Sports': ['game', 'match', 'team', 'score', 'league', 'season', 'player', 'coach', 'football', 'soccer', 'basketball', 'nba', 'nfl', 'cricket', 'tennis', 'goal', 'championship'],
+  'Technology': ['ai', 'software', 'app', 'tech', 'technology', 'code', 'coding', 'developer', 'computer', 'startup', 'google', 'apple', 'microsoft', 'javascript', 'data', 'robot', 'chip', 'internet'],
+  'Politics': ['election', 'government', 'president', 'senate', 'congress', 'policy', 'vote', 'minister', 'law', 'campaign', 'democrat', 'republican', 'parliament'],
+  'Science': ['science', 'research', 'study', 'scientists', 'space', 'nasa', 'climate', 'physics', 'biology', 'discovery', 'planet'],
+  'Health': ['health', 'doctor', 'hospital', 'covid', 'vaccine', 'disease', 'fitness', 'workout', 'medical', 'mental', 'diet'],
+  'Entertainment': ['movie', 'film', 'music', 'song', 'album', 'celebrity', 'tv', 'show', 'netflix', 'actor', 'actress', 'concert', 'hollywood'],
+  'Education': ['school', 'university', 'college', 'student', 'students', 'teacher', 'exam', 'learning', 'course', 'class'],
+  'Travel': ['travel', 'trip', 'flight', 'vacation', 'hotel', 'beach', 'tour', 'airport', 'visit'],
+  'Food': ['food', 'recipe', 'cook', 'cooking', 'dinner', 'lunch', 'breakfast', 'restaurant', 'pizza', 'coffee', 'delicious'],
+  'Art': ['art', 'painting', 'artist', 'design', 'drawing', 'museum', 'gallery', 'photography'],
+  'Lifestyle': ['lifestyle', 'fashion', 'home', 'family', 'weekend', 'style', 'wellness'],
+  'News': ['news', 'breaking', 'report', 'reports', 'weather', 'forecast', 'announced', 'officials', 'update'],
+  'Humor': ['lol', 'lmao', 'joke', 'funny', 'haha', 'meme'],
+  'Opinion': ['think', 'believe', 'opinion', 'should', 'unpopular', 'imo', 'honestly'],
+  'Personal Update': ['today', 'my', 'finally', 'excited', 'birthday', 'graduated', 'moved', 'new job'],
+};
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'if', 'then', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those', 'as', 'so',
+  'i', 'me', 'my', 'we', 'our', 'you', 'your', 'he', 'she', 'they', 'them', 'their', 'his', 'her', 'has', 'have',
+  'had', 'do', 'does', 'did', 'not', 'no', 'just', 'about', 'into', 'over', 'after', 'before', 'more', 'most',
+  'some', 'any', 'all', 'can', 'will', 'would', 'should', 'could', 'what', 'which', 'who', 'when', 'where', 'how',
+  'why', 'there', 'here', 'up', 'out', 'new', 'read', 'also', 'than', 'very', 'really', 'get', 'got', 'one',
+  'https', 'http', 'www', 'com', 'today', 'now', 'available', 'description',
+]);
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/https?:\/\/\S+/g, ' ')
+  .replace(/'/g, '')
+  .split(/[^a-z0-9#]+/)
+  .filter(Boolean);
+
+const countHits = (text, tokens, words) => {
+  const lowerText = (text || '').toLowerCase();
+  let hits = 0;
+  for (const word of words) {
+    if (word.includes(' ')) {
+      hits += lowerText.includes(word) ? 1 : 0;
+    } else {
+      hits += tokens.filter(token => token === word).length;
+    }
+  }
+  return hits;
+};
+
+// Returns a sentiment score where each positive word counts +1 and each negative word -1; a preceding negation flips it
+const getSentimentScore = (tokens) => {
+  let score = 0;
+  tokens.forEach((token, index) => {
+    const polarity = POSITIVE_WORDS.has(token) ? 1 : NEGATIVE_WORDS.has(token) ? -1 : 0;
+    if (polarity !== 0) {
+      const negated = index > 0 && NEGATIONS.has(tokens[index - 1]);
+      score += negated ? -polarity : polarity;
+    }
+  });
+  return score;
+};
+
+// Size of the hashed bag-of-words vectors produced by embedText
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+// 32-bit FNV-1a hash, so every process maps a word to the same dimension
+const hashWord = (word) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const localProvider = {
+  name: 'local',
+
+  isConfigured: () => true,
+
+  analyzeSentiment: async(text) => {
+    const score = getSentimentScore(tokenize(text));
+    if (score > 0) {
+      return 'Positive';
+    }
+    if (score < 0) {
+      return 'Negative';
+    }
+    return 'Neutral';
+  },
+
+  detectEmotions: async(text) => {
+    const tokens = tokenize(text);
+    const counts = Object.entries(EMOTION_LEXICON)
+      .map(([emotion, words]) => ({ emotion, hits: countHits(text, tokens, words) }))
+      .filter(({ hits }) => hits > 0);
+
+    if (counts.length === 0) {
+      return [{ emotion: 'neutral', score: 1 }];
+    }
+
+    const total = counts.reduce((sum, { hits }) => sum + hits, 0);
+    return counts
+      .map(({ emotion, hits }) => ({ emotion, score: parseFloat((hits / total).toFixed(2)) }))
+      .sort((a, b) => b.score - a.score || a.emotion.localeCompare(b.emotion))
+      .slice(0, 3);
+  },
+
+  detectToxicity: async(text) => {
+    const tokens = tokenize(text);
+    const hits = countHits(text, tokens, OFFENSIVE_WORDS);
+    if (hits === 0) {
+      return { detected: false, details: { 'not offensive': 1 } };
+    }
+    // Two or more offensive terms is treated as fully offensive
+    const offensive = parseFloat(Math.min(1, 0.5 + hits * 0.25).toFixed(2));
+    return { detected: true, details: { offensive } };
+  },
+
+  analyzeContent: async(text) => {
+    const tokens = tokenize(text);
+
+    // Topics: explicit hashtags first, then the most frequent meaningful words
+    const hashtags = tokens.filter(token => token.startsWith('#') && token.length > 1).map(token => token.slice(1));
+    const frequencies = new Map();
+    tokens
+      .map(token => token.replace(/#/g, ''))
+      .filter(token => token.length > 3 && !STOP_WORDS.has(token) && !/^\d+$/.test(token))
+      .forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    const frequentWords = Array.from(frequencies.entries())
+      .sort(([wordA, countA], [wordB, countB]) => countB - countA || wordA.localeCompare(wordB))
+      .map(([word]) => word);
+    const topics = Array.from(new Set([...hashtags, ...frequentWords])).slice(0, 5).map(capitalize);
+
+    // Summary: the first sentences of the post, capped at 50 words
+    const plainText = (text || '').replace(/\*\*/g, '').replace(/https?:\/\/\S+/g, '').replace(/\s+/g, ' ').trim();
+    const sentences = plainText.match(/[^.!?]+[.!?]*/g) || [];
+    let summary = '';
+    for (const sentence of sentences) {
+      const candidate = `${summary} ${sentence.trim()}`.trim();
+      if (candidate.split(' ').length > 50) {
+        break;
+      }
+      summary = candidate;
+    }
+    if (!summary) {
+      summary = plainText.split(' ').slice(0, 50).join(' ');
+    }
+
+    let category = 'Other';
+    let bestHits = 0;
+    for (const [name, words] of Object.entries(CATEGORY_KEYWORDS)) {
+      const hits = countHits(text, tokens, words);
+      if (hits > bestHits) {
+        bestHits = hits;
+        category = name;
+      }
+    }
+
+    return {
+      topics,
+      summary,
+      category,
+      factCheck: 'neutral', // Facts cannot be verified offline
+    };
+  },
+
+  // Feature hashing over content words (and their bigrams), L2-normalized: posts sharing words are neighbours
+  embedText: async(text) => {
+    const words = tokenize(text).map(token => token.replace(/^#/, '')).filter(token => token.length > 1 && !STOP_WORDS.has(token));
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+    const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+    features.forEach(feature => {
+      const hash = hashWord(feature);
+      // The top bit picks the sign so colliding features tend to cancel out instead of adding up
+      vector[hash % LOCAL_EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return {
+      model: `local:hashed-bow-${LOCAL_EMBEDDING_DIMENSIONS}`,
+      vector: norm > 0 ? vector.map(value => value / norm) : vector,
+    };
+  },
+};
+
+export default localProvider;
@@ -0,0 +1,31 @@
+// services/botSources/index.js - Bot source registry: where each bot type gets the items it posts
+import newsdataSource from './newsdataSource.js';
+import zenQuotesSource from './zenQuotesSource.js';
+import rssSource from './rssSource.js';
+
+// A source is { name, dedupe, fetchItems(botConfig, { limit, stats }), formatContent?(item, botConfig) }.
+// fetchItems resolves to [{ title, summary, link, imageUrl, source }], counts each request it makes
+// in `stats.apiCalls` and throws when the source cannot be read.
+// Sources with `dedupe` skip items already posted by any bot (see services/newsDedupe.js).
+const sources = {
+  [newsdataSource.name]: newsdataSource,
+  [zenQuotesSource.name]: zenQuotesSource,
+  [rssSource.name]: rssSource,
+};
+
+const BOT_SOURCE_TYPES = Object.keys(sources);
+
+/**
+ * Returns the source for a bot type.
+ * @param {string} type - BotConfig.type ('news', 'quote' or 'rss').
+ * @returns {object} The source.
+ */
+const getBotSource = (type) => {
+  const source = sources[type];
+  if (!source) {
+    throw new Error(`Unknown bot type "${type}". Use one of: ${BOT_SOURCE_TYPES.join(', ')}.`);
+  }
+  return source;
+};
+
+export { BOT_SOURCE_TYPES, getBotSource };
@@ -0,0 +1,58 @@
+// services/botSources/newsdataSource.js - Bot source for Newsdata.io /latest articles
+import dotenv from 'dotenv';
+import { consumeQuota } from '../quotaTracker.js';
+
+dotenv.config();
+
+const NEWSDATA_API_KEY = process.env.NEWSDATA_API_KEY;
+const NEWSDATA_API_BASE_URL = 'https://newsdata.io/api/1/latest';
+
+const newsdataSource = {
+  name: 'news',
+  dedupe: true,
+
+  fetchItems: async({ query, category, language, country, timezone }, { limit, stats }) => {
+    if (!NEWSDATA_API_KEY) {
+      throw new Error('NEWSDATA_API_KEY is not set in .env. Cannot fetch news from Newsdata.io.');
+    }
+
+    const url = new URL(NEWSDATA_API_BASE_URL);
+    url.searchParams.append('apikey', NEWSDATA_API_KEY);
+    url.searchParams.append('language', language || 'en');
+    url.searchParams.append('size', Math.min(limit, 10)); // Newsdata.io uses 'size' instead of 'pageSize'; free tier max is 10
+
+    if (query) {
+      url.searchParams.append('q', query);
+    }
+    if (category) {
+      url.searchParams.append('category', category);
+    }
+    if (country) {
+      url.searchParams.append('country', country);
+    }
+    if (timezone) {
+      url.searchParams.append('timezone', timezone);
+    }
+
+    await consumeQuota('newsdata');
+    stats.apiCalls += 1;
+    const response = await fetch(url.toString());
+    const data = await response.json();
+
+    if (data.status !== 'success') {
+      const details = data.results && data.results.message ? data.results.message : data.message;
+      throw new Error(`Newsdata.io API error for query "${query || category || 'latest'}" (status: ${data.status}): ${details || 'no details'}`);
+    }
+    return data.results
+      .filter(article => article.title && article.description && article.link)
+      .map(article => ({
+        title: article.title,
+        summary: article.description,
+        link: article.link,
+        imageUrl: article.image_url || null,
+        source: article.source_id || null,
+      }));
+  },
+};
+
+export default newsdataSource;
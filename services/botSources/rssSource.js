@@ -0,0 +1,179 @@
+// services/botSources/rssSource.js - Bot source for any RSS 2.0 or Atom feed (botConfig.feedUrl)
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { fetchPublicUrl, readLimitedBody } from '../../utils/publicFetch.js';
+
+dotenv.config();
+
+// Lets bots read file:// feeds (local fixture feeds in development); never enable where admins are not trusted with the disk
+const BOT_ALLOW_FILE_FEEDS = process.env.BOT_ALLOW_FILE_FEEDS === 'true';
+const RSS_FETCH_TIMEOUT_MS = 15 * 1000;
+// Feeds larger than this are not downloaded (the whole document is held in memory and parsed at once)
+const RSS_FEED_MAX_BYTES = parseInt(process.env.RSS_FEED_MAX_BYTES) || 5 * 1024 * 1024;
+const RSS_SUMMARY_MAX_LENGTH = 500;
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp)(\?|$)/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isNaN(codePoint) ? entity : String.fromCodePoint(codePoint);
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Raw inner XML of the first element with one of the given names, CDATA unwrapped
+const getElementContent = (xml, names) => {
+  for (const name of names) {
+    const match = xml.match(new RegExp(`<${escapeRegex(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeRegex(name)}>`, 'i'));
+    if (match) {
+      return match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+    }
+  }
+  return null;
+};
+
+// Plain text of an element that may hold escaped or CDATA-wrapped HTML
+const getElementText = (xml, names) => {
+  const content = getElementContent(xml, names);
+  if (content === null) {
+    return null;
+  }
+  const html = decodeEntities(content);
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+};
+
+// Attributes of every element with the given name (e.g. all <link .../> of an Atom entry)
+const getElementsAttributes = (xml, name) => {
+  const tags = xml.match(new RegExp(`<${escapeRegex(name)}(?:\\s[^>]*)?/?>`, 'gi')) || [];
+  return tags.map(tag => Object.fromEntries(Array.from(tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g))
+    .map(([, key, doubleQuoted, singleQuoted]) => [key.toLowerCase(), decodeEntities(doubleQuoted ?? singleQuoted)])));
+};
+
+const resolveUrl = (url, baseUrl) => {
+  if (!url) {
+    return null;
+  }
+  try {
+    return new URL(url, baseUrl).toString();
+  } catch {
+    return null;
+  }
+};
+
+const getItemLink = (xml) => {
+  const rssLink = getElementText(xml, ['link']);
+  if (rssLink) {
+    return rssLink;
+  }
+  // Atom: <link rel="alternate" href="..."/>, where a missing rel means alternate
+  const atomLink = getElementsAttributes(xml, 'link').find(link => link.href && (!link.rel || link.rel === 'alternate'));
+  if (atomLink) {
+    return atomLink.href;
+  }
+  const guid = getElementsAttributes(xml, 'guid')[0];
+  const guidText = getElementText(xml, ['guid']);
+  return guidText && (!guid || guid.ispermalink !== 'false') && /^https?:\/\//.test(guidText) ? guidText : null;
+};
+
+const getItemImage = (xml) => {
+  const isImage = (attributes) => attributes.url && (
+    (attributes.type || '').startsWith('image/') || attributes.medium === 'image' || IMAGE_EXTENSION.test(attributes.url)
+  );
+  const candidates = [
+    ...getElementsAttributes(xml, 'enclosure'),
+    ...getElementsAttributes(xml, 'media:content'),
+    ...getElementsAttributes(xml, 'media:thumbnail').map(thumbnail => ({ ...thumbnail, medium: 'image' })),
+  ];
+  const image = candidates.find(isImage);
+  if (image) {
+    return image.url;
+  }
+  // Otherwise the first picture in the item's HTML
+  const html = decodeEntities(getElementContent(xml, ['content:encoded', 'description', 'content', 'summary']) || '');
+  const img = html.match(/<img\s[^>]*src\s*=\s*["']([^"']+)["']/i);
+  return img ? img[1] : null;
+};
+
+const truncate = (text, maxLength) => {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).replace(/\s+\S*$/, '')}…` : text;
+};
+
+/**
+ * Parses an RSS 2.0 or Atom document into bot items.
+ * @param {string} xml - The feed document.
+ * @param {string} feedUrl - The feed's URL, for resolving relative links when the feed names no site link.
+ * @returns {Array<{ title: string, summary: string, link: string, imageUrl: string|null, source: string }>}
+ *   Items in feed order; entries without a title or link are left out.
+ */
+const parseFeed = (xml, feedUrl) => {
+  let blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi);
+  if (!blocks) {
+    blocks = xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+  }
+  const source = feedUrl.startsWith('file:') ? 'file' : new URL(feedUrl).hostname;
+  // Relative item links are relative to the site the channel/feed links to, falling back to the feed itself
+  const header = xml.split(/<item[\s>]|<entry[\s>]/i)[0];
+  const baseUrl = resolveUrl(getItemLink(header), feedUrl) || feedUrl;
+
+  return blocks
+    .map(block => ({
+      title: getElementText(block, ['title']),
+      summary: truncate(getElementText(block, ['description', 'summary', 'content:encoded', 'content']) || '', RSS_SUMMARY_MAX_LENGTH),
+      link: resolveUrl(getItemLink(block), baseUrl),
+      imageUrl: resolveUrl(getItemImage(block), baseUrl),
+      source,
+    }))
+    .filter(item => item.title && item.link);
+};
+
+// http(s) feeds, plus file:// feeds when BOT_ALLOW_FILE_FEEDS is set (private hosts are refused when fetching)
+const isAllowedFeedUrl = (feedUrl) => {
+  try {
+    const { protocol } = new URL(feedUrl);
+    return protocol === 'http:' || protocol === 'https:' || (protocol === 'file:' && BOT_ALLOW_FILE_FEEDS);
+  } catch {
+    return false;
+  }
+};
+
+// file:// URLs are read from disk so bots can be tried against local feed files.
+// Feeds on (or redirecting to) private addresses are refused, so a feed URL cannot reach internal hosts,
+// and the download stops once it passes RSS_FEED_MAX_BYTES.
+const loadFeed = async(feedUrl) => {
+  if (feedUrl.startsWith('file:')) {
+    return readFile(fileURLToPath(feedUrl), 'utf8');
+  }
+  const response = await fetchPublicUrl(feedUrl, {
+    headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+    signal: AbortSignal.timeout(RSS_FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Feed responded with status ${response.status}`);
+  }
+  const body = await readLimitedBody(response, RSS_FEED_MAX_BYTES);
+  return body.toString('utf8');
+};
+
+const rssSource = {
+  name: 'rss',
+  dedupe: true,
+
+  fetchItems: async({ feedUrl }, { limit, stats }) => {
+    if (!feedUrl || !isAllowedFeedUrl(feedUrl)) {
+      throw new Error(`RSS bot has no usable feedUrl configured ("${feedUrl || ''}").`);
+    }
+    if (!feedUrl.startsWith('file:')) {
+      stats.apiCalls += 1;
+    }
+    const xml = await loadFeed(feedUrl);
+    return parseFeed(xml, feedUrl).slice(0, limit);
+  },
+};
+
+export { parseFeed, isAllowedFeedUrl };
+export default rssSource;
@@ -0,0 +1,31 @@
+// services/botSources/zenQuotesSource.js - Bot source for ZenQuotes.io quotes
+import { consumeQuota } from '../quotaTracker.js';
+
+const ZENQUOTES_API_BASE_URL = 'https://zenquotes.io/api/quotes';
+
+const zenQuotesSource = {
+  name: 'quote',
+  dedupe: false, // Quotes have no link; repeating one now and then is fine
+
+  fetchItems: async(botConfig, { limit, stats }) => {
+    await consumeQuota('zenquotes');
+    stats.apiCalls += 1;
+    const response = await fetch(ZENQUOTES_API_BASE_URL);
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) {
+      console.warn('No quotes received from ZenQuotes.io or unexpected format.');
+      return [];
+    }
+    // A random pick of the returned batch
+    return data
+      .filter(quote => quote.q && quote.a)
+      .map(quote => ({ quote, order: Math.random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, limit)
+      .map(({ quote }) => ({ title: quote.q, summary: quote.a, link: null, imageUrl: null, source: 'zenquotes' }));
+  },
+
+  formatContent: (item, { titlePrefix }) => `**${titlePrefix}** "${item.title}"\n\n— ${item.summary}`,
+};
+
+export default zenQuotesSource;
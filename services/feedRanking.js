@@ -0,0 +1,214 @@
+// services/feedRanking.js - Personalized feed ranking over a bounded candidate set, scored in MongoDB
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Post from '../models/Post.js';
+import RankingProfile from '../models/RankingProfile.js';
+
+dotenv.config();
+
+// Max posts pulled from each candidate source (network, recent, preferred categories, preferred topics)
+const FEED_CANDIDATES_PER_SOURCE = parseInt(process.env.FEED_CANDIDATES_PER_SOURCE) || 300;
+// How far back the "recent posts" candidate source looks
+const FEED_RECENT_WINDOW_DAYS = parseInt(process.env.FEED_RECENT_WINDOW_DAYS) || 7;
+// Only the strongest preferences are used for candidate selection and scoring
+const FEED_TOP_CATEGORIES = 5;
+const FEED_TOP_TOPICS = 20;
+// Changing the salt reshuffles every user into new experiment buckets
+const FEED_EXPERIMENT_SALT = process.env.FEED_EXPERIMENT_SALT || 'feed-ranking';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weights for each ranking signal
+const DEFAULT_RANKING_WEIGHTS = {
+  network: 100, // Base relevance for posts from followed users or own posts
+  category: 10, // Per like in the post's category
+  topic: 5, // Per like in each of the post's topics
+  recency: 5, // Max points for a brand new post...
+  recencyDecayDays: 5, // ...losing one point per this many days of age
+  toxicity: -50, // Applied when toxicity was detected
+};
+
+// Converts a preference Map (name -> like count) to its strongest entries as [{ k, v }]
+const getTopPreferences = (preferences, count) => {
+  return Array.from(preferences.entries())
+    .filter(([, likes]) => likes > 0)
+    .sort(([nameA, likesA], [nameB, likesB]) => likesB - likesA || nameA.localeCompare(nameB))
+    .slice(0, count)
+    .map(([k, v]) => ({ k, v }));
+};
+
+// Collects candidate post ids from several small indexed queries instead of scanning every post
+const getCandidateIds = async({ networkIds, topCategories, topTopics, asOf }) => {
+  const notAfterSnapshot = { createdAt: { $lte: asOf }, hidden: { $ne: true } };
+  const recentSince = new Date(asOf.getTime() - FEED_RECENT_WINDOW_DAYS * ONE_DAY_MS);
+
+  const sources = [
+    { user: { $in: networkIds }, ...notAfterSnapshot },
+    { createdAt: { $gte: recentSince, $lte: asOf }, hidden: { $ne: true } },
+  ];
+  if (topCategories.length > 0) {
+    sources.push({ 'aiAnalysis.category': { $in: topCategories.map(({ k }) => k) }, ...notAfterSnapshot });
+  }
+  if (topTopics.length > 0) {
+    sources.push({ 'aiAnalysis.topics': { $in: topTopics.map(({ k }) => k) }, ...notAfterSnapshot });
+  }
+
+  const results = await Promise.all(sources.map(filter => Post.find(filter)
+    .select('_id')
+    .sort({ createdAt: -1 })
+    .limit(FEED_CANDIDATES_PER_SOURCE)
+    .lean()));
+
+  const ids = new Map();
+  results.flat().forEach(({ _id }) => ids.set(_id.toString(), _id));
+  return Array.from(ids.values());
+};
+
+// Plain reposts share another post and carry no content of their own
+const IS_PLAIN_REPOST = { $and: [{ $ne: [{ $ifNull: ['$repostOf', null] }, null] }, { $eq: [{ $ifNull: ['$content', null] }, null] }] };
+
+// Aggregation expression computing the same signals the in-memory scorer used (on `rankedAnalysis`)
+const buildScoreExpression = ({ networkIds, topCategories, topTopics, asOf, weights }) => ({
+  $add: [
+    { $cond: [{ $in: ['$user', networkIds] }, weights.network, 0] },
+    {
+      $reduce: {
+        input: { $literal: topCategories }, // $literal: names may start with '$'
+        initialValue: 0,
+        in: {
+          $add: ['$$value', { $cond: [{ $eq: ['$$this.k', '$rankedAnalysis.category'] }, { $multiply: ['$$this.v', weights.category] }, 0] }],
+        },
+      },
+    },
+    {
+      $reduce: {
+        input: { $literal: topTopics },
+        initialValue: 0,
+        in: {
+          $add: ['$$value', { $cond: [{ $in: ['$$this.k', { $ifNull: ['$rankedAnalysis.topics', []] }] }, { $multiply: ['$$this.v', weights.topic] }, 0] }],
+        },
+      },
+    },
+    {
+      $max: [0, {
+        $subtract: [weights.recency, {
+          $divide: [{ $subtract: [asOf, '$createdAt'] }, weights.recencyDecayDays * ONE_DAY_MS],
+        }],
+      }],
+    },
+    { $cond: [{ $eq: ['$rankedAnalysis.toxicity.detected', true] }, weights.toxicity, 0] },
+  ],
+});
+
+// Continues the (score desc, createdAt desc, _id desc) ordering after the last entry of the previous page
+const buildCursorMatch = (cursor) => {
+  const createdAt = new Date(cursor.createdAt);
+  return {
+    $or: [
+      { relevanceScore: { $lt: cursor.score } },
+      { relevanceScore: cursor.score, createdAt: { $lt: createdAt } },
+      { relevanceScore: cursor.score, createdAt, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } },
+    ],
+  };
+};
+
+// Maps a user id to a stable number in [0, 1)
+const getUserBucketPosition = (userId) => {
+  const hash = crypto.createHash('sha256').update(`${FEED_EXPERIMENT_SALT}:${userId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Picks the ranking profile for a user.
+ * Active profiles with a traffic weight split users proportionally; the same user always lands in
+ * the same bucket while the set of active profiles is unchanged. With no such profiles, or when
+ * `pinnedProfileId` (from a pagination cursor) no longer exists, the defaults are used.
+ * @param {string} userId - The user's id.
+ * @param {string|null} [pinnedProfileId] - Profile already applied to earlier pages of the same feed.
+ * @returns {{ profileId: string|null, weights: object }}
+ */
+const getRankingProfileForUser = async(userId, pinnedProfileId = null) => {
+  if (pinnedProfileId) {
+    const pinned = mongoose.Types.ObjectId.isValid(pinnedProfileId) ? await RankingProfile.findById(pinnedProfileId).lean() : null;
+    return pinned ?
+      { profileId: pinned._id.toString(), weights: { ...DEFAULT_RANKING_WEIGHTS, ...pinned.weights } } :
+      { profileId: null, weights: DEFAULT_RANKING_WEIGHTS };
+  }
+
+  const profiles = await RankingProfile.find({ active: true, trafficWeight: { $gt: 0 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  const totalWeight = profiles.reduce((sum, profile) => sum + profile.trafficWeight, 0);
+  if (totalWeight === 0) {
+    return { profileId: null, weights: DEFAULT_RANKING_WEIGHTS };
+  }
+
+  const position = getUserBucketPosition(userId.toString()) * totalWeight;
+  let cumulative = 0;
+  const profile = profiles.find(({ trafficWeight }) => {
+    cumulative += trafficWeight;
+    return position < cumulative;
+  }) || profiles[profiles.length - 1];
+
+  return { profileId: profile._id.toString(), weights: { ...DEFAULT_RANKING_WEIGHTS, ...profile.weights } };
+};
+
+/**
+ * Returns one page of the personalized feed for a user.
+ * @param {object} options
+ * @param {object} options.user - The user document (following, userPreferences).
+ * @param {Date} options.asOf - Snapshot time; newer posts are ignored and recency is measured from it.
+ * @param {object|null} options.cursor - Decoded cursor { score, createdAt, id } of the previous page.
+ * @param {number} options.limit - Page size.
+ * @param {object} [options.weights] - Ranking weights (defaults to DEFAULT_RANKING_WEIGHTS).
+ * @returns {Array} Up to `limit + 1` plain post objects with `relevanceScore` and `repostedBy` (ids of
+ *   users whose plain reposts were collapsed into the entry), best first.
+ */
+const getRankedFeedPage = async({ user, asOf, cursor, limit, weights = DEFAULT_RANKING_WEIGHTS }) => {
+  const networkIds = [...user.following, user._id];
+  const topCategories = getTopPreferences(user.userPreferences.likedCategories, FEED_TOP_CATEGORIES);
+  const topTopics = getTopPreferences(user.userPreferences.likedTopics, FEED_TOP_TOPICS);
+
+  const candidateIds = await getCandidateIds({ networkIds, topCategories, topTopics, asOf });
+  if (candidateIds.length === 0) {
+    return [];
+  }
+
+  const pipeline = [
+    { $match: { _id: { $in: candidateIds } } },
+    // Plain reposts are ranked on the analysis of the post they share
+    { $lookup: { from: Post.collection.name, localField: 'repostOf', foreignField: '_id', as: 'sharedPost' } },
+    { $addFields: { isPlainRepost: IS_PLAIN_REPOST, sharedPost: { $arrayElemAt: ['$sharedPost', 0] } } },
+    { $match: { $or: [{ isPlainRepost: false }, { 'sharedPost.hidden': { $ne: true }, 'sharedPost._id': { $exists: true } }] } },
+    {
+      $addFields: {
+        rankedAnalysis: { $cond: ['$isPlainRepost', '$sharedPost.aiAnalysis', '$aiAnalysis'] },
+        collapseKey: { $cond: ['$isPlainRepost', '$repostOf', '$_id'] },
+      },
+    },
+    { $addFields: { relevanceScore: buildScoreExpression({ networkIds, topCategories, topTopics, asOf, weights }) } },
+    // A post and its plain reposts collapse into their best-ranked entry, listing who reposted it
+    { $sort: { relevanceScore: -1, createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$collapseKey',
+        post: { $first: '$$ROOT' },
+        repostedBy: { $addToSet: { $cond: ['$isPlainRepost', '$user', null] } },
+      },
+    },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$post', { repostedBy: { $setDifference: ['$repostedBy', [null]] } }] } } },
+    { $project: { sharedPost: 0, rankedAnalysis: 0, collapseKey: 0, isPlainRepost: 0 } },
+  ];
+  if (cursor) {
+    pipeline.push({ $match: buildCursorMatch(cursor) });
+  }
+  pipeline.push(
+    { $sort: { relevanceScore: -1, createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+  );
+
+  return Post.aggregate(pipeline);
+};
+
+export { DEFAULT_RANKING_WEIGHTS, getRankingProfileForUser, getRankedFeedPage };
@@ -0,0 +1,149 @@
+// services/jobQueue.js - MongoDB-backed job queue with a polling worker, retries and a dead-letter state
+import os from 'os';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+
+dotenv.config();
+
+const JOB_WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const JOB_BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const JOB_BACKOFF_MAX_MS = 60 * 60 * 1000; // Never wait more than an hour between attempts
+const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = new Map(); // Key: job type, Value: async handler(payload, job)
+
+let activeJobs = 0;
+let pollTimer = null;
+
+/**
+ * Registers the function that processes jobs of a given type.
+ * A handler signals failure by throwing; the job is then retried with backoff.
+ * An error with a `retryAt` Date (e.g. a used-up API quota) instead defers the job until then
+ * without using up an attempt.
+ * @param {string} type - The job type.
+ * @param {function} handler - async (payload, job) => any
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Adds a job to the queue.
+ * If `dedupe` is set and a queued job of the same type already exists for the same post,
+ * that job is made due immediately instead of creating a second one.
+ * @param {string} type - The job type (must match a registered handler).
+ * @param {object} payload - Data passed to the handler.
+ * @param {object} [options] - { post, maxAttempts, runAt, dedupe }
+ * @returns {object} The queued job document.
+ */
+const enqueueJob = async(type, payload = {}, options = {}) => {
+  const { post = null, maxAttempts = JOB_MAX_ATTEMPTS, runAt = new Date(), dedupe = false } = options;
+
+  if (dedupe && post) {
+    const existing = await Job.findOneAndUpdate(
+      { type, post, status: 'queued' },
+      { $set: { payload, runAt } },
+      { new: true },
+    );
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const job = new Job({ type, payload, post, maxAttempts, runAt });
+  return job.save();
+};
+
+// Exponential backoff: base, 2x base, 4x base, ... capped at JOB_BACKOFF_MAX_MS
+const getBackoffMs = (attempts) => {
+  return Math.min(JOB_BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), JOB_BACKOFF_MAX_MS);
+};
+
+// Atomically claims the next due job (or one whose worker died holding the lock)
+const claimNextJob = async() => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true },
+  );
+};
+
+const runJob = async(job) => {
+  const handler = handlers.get(job.type);
+  try {
+    await handler(job.payload, job);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null, lastError: null } },
+    );
+  } catch (error) {
+    const lastError = error && error.message ? error.message : String(error);
+    if (error && error.retryAt instanceof Date) {
+      console.warn(`Job ${job._id} (${job.type}) deferred until ${error.retryAt.toISOString()}:`, lastError);
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { status: 'queued', runAt: error.retryAt, lockedAt: null, lockedBy: null, lastError }, $inc: { attempts: -1 } },
+      );
+    } else if (job.attempts >= job.maxAttempts) {
+      console.error(`Job ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, lastError);
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { status: 'dead', lockedAt: null, lockedBy: null, lastError } },
+      );
+    } else {
+      const delayMs = getBackoffMs(job.attempts);
+      console.warn(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}, retrying in ${Math.round(delayMs / 1000)}s:`, lastError);
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { status: 'queued', runAt: new Date(Date.now() + delayMs), lockedAt: null, lockedBy: null, lastError } },
+      );
+    }
+  }
+};
+
+// Claims jobs until the concurrency limit is reached or nothing is due, then schedules the next poll
+const poll = async() => {
+  try {
+    while (activeJobs < JOB_WORKER_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+      activeJobs += 1;
+      runJob(job)
+        .catch(error => console.error(`Error finalizing job ${job._id}:`, error))
+        .finally(() => {
+          activeJobs -= 1;
+        });
+    }
+  } catch (error) {
+    console.error('Error polling job queue:', error);
+  }
+  pollTimer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+};
+
+/**
+ * Starts the worker loop for this process. Safe to call more than once.
+ */
+const startJobWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+  console.log(`Job worker ${workerId} started (concurrency: ${JOB_WORKER_CONCURRENCY}).`);
+  pollTimer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+};
+
+export { registerJobHandler, enqueueJob, startJobWorker };
@@ -0,0 +1,115 @@
+// services/leaseLock.js - MongoDB lease locks with expiry and heartbeat, so a scheduled job runs on one instance at a time
+import crypto from 'crypto';
+import os from 'os';
+import dotenv from 'dotenv';
+import Lease from '../models/Lease.js';
+
+dotenv.config();
+
+// A lease whose holder stops heartbeating (e.g., it crashed) is free again after this long
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_MS) || 60 * 1000;
+const LEASE_HEARTBEAT_MS = Math.floor(LEASE_TTL_MS / 3);
+
+const holderId = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Takes a lease if it is free (never taken, released or expired).
+ * @param {string} name - The lease name.
+ * @param {object} [options]
+ * @param {Date} [options.occurrence] - Scheduled time of the run. Every instance fires the same cron occurrence,
+ *   so the lease is refused for occurrences already run, even if that run has finished.
+ * @returns {object|null} The lease document, or null if another run holds it or already ran this occurrence.
+ */
+const acquireLease = async(name, { occurrence = null } = {}) => {
+  const now = new Date();
+  const filter = { name, $or: [{ holder: null }, { expiresAt: { $lte: now } }] };
+  if (occurrence) {
+    filter.$and = [{ $or: [{ lastOccurrence: null }, { lastOccurrence: { $lt: occurrence } }] }];
+  }
+
+  try {
+    return await Lease.findOneAndUpdate(filter, {
+      $set: {
+        holder: holderId,
+        token: crypto.randomUUID(),
+        acquiredAt: now,
+        heartbeatAt: now,
+        expiresAt: new Date(now.getTime() + LEASE_TTL_MS),
+        ...(occurrence && { lastOccurrence: occurrence }),
+      },
+    }, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null; // The lease exists and is held (or the occurrence already ran)
+    }
+    throw error;
+  }
+};
+
+// Pushes the expiry out; false means the lease expired and was taken over meanwhile
+const renewLease = async(lease) => {
+  const now = new Date();
+  const result = await Lease.updateOne(
+    { name: lease.name, token: lease.token },
+    { $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + LEASE_TTL_MS) } },
+  );
+  return result.matchedCount > 0;
+};
+
+const releaseLease = async(lease) => {
+  await Lease.updateOne(
+    { name: lease.name, token: lease.token },
+    { $set: { holder: null, token: null, expiresAt: new Date() } },
+  );
+};
+
+/**
+ * Runs a function while holding a lease, heartbeating until it finishes and releasing the lease afterwards.
+ * Wrap every scheduled job in this so replicas do not all run it.
+ * @param {string} name - The lease name.
+ * @param {function} fn - async () => any
+ * @param {object} [options] - { occurrence }, as for acquireLease.
+ * @returns {{ acquired: boolean, result: any }} acquired is false (and fn not called) if the lease was not free.
+ */
+const withLease = async(name, fn, options = {}) => {
+  const lease = await acquireLease(name, options);
+  if (!lease) {
+    return { acquired: false, result: null };
+  }
+
+  const heartbeat = setInterval(() => {
+    renewLease(lease)
+      .then(renewed => {
+        if (!renewed) {
+          console.warn(`Lease ${name} expired while ${holderId} still held it; another instance may run the job too.`);
+          clearInterval(heartbeat);
+        }
+      })
+      .catch(error => console.error(`Error renewing lease ${name}:`, error));
+  }, LEASE_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLease(lease).catch(error => console.error(`Error releasing lease ${name}:`, error));
+  }
+};
+
+/**
+ * Lists leases with their current holder (null when free).
+ * @param {string} [prefix] - Only leases whose name starts with this (e.g., 'bot:').
+ * @returns {Array<object>}
+ */
+const getLeases = async(prefix = '') => {
+  const now = new Date();
+  const filter = prefix ? { name: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } } : {};
+  const leases = await Lease.find(filter).sort({ name: 1 }).select('-token').lean();
+  return leases.map(lease => {
+    const held = Boolean(lease.holder) && lease.expiresAt > now;
+    return { ...lease, held, holder: held ? lease.holder : null };
+  });
+};
+
+export { acquireLease, withLease, getLeases };
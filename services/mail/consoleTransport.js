@@ -0,0 +1,10 @@
+// services/mail/consoleTransport.js - Prints each message to the server log instead of sending it
+const consoleTransport = {
+  name: 'console',
+
+  send: async(message) => {
+    console.log(`--- Mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n--- End of mail ---`);
+  },
+};
+
+export default consoleTransport;
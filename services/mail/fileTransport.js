@@ -0,0 +1,23 @@
+// services/mail/fileTransport.js - Writes each message to a JSON file instead of sending it (local use and tests)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'second-brain-mail');
+
+const fileTransport = {
+  name: 'file',
+
+  send: async(message) => {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@.-]/g, '_');
+    const filePath = path.join(MAIL_FILE_DIR, `${Date.now()}-${safeRecipient}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`Mail to ${message.to} written to ${filePath}`);
+  },
+};
+
+export default fileTransport;
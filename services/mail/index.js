@@ -0,0 +1,35 @@
+// services/mail/index.js - Mailer abstraction: picks a transport from MAIL_TRANSPORT and sends messages through it
+import dotenv from 'dotenv';
+import smtpTransport from './smtpTransport.js';
+import fileTransport from './fileTransport.js';
+import consoleTransport from './consoleTransport.js';
+
+dotenv.config();
+
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport,
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Second Brain <no-reply@secondbrain.local>';
+
+// Defaults to SMTP when it is configured, otherwise to the console so local runs never send real mail
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(transports).join(', ')}.`);
+  }
+  return transport;
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} message - { to, subject, text, html }
+ */
+const sendMail = async({ to, subject, text, html }) => {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+export { sendMail };
@@ -0,0 +1,33 @@
+// services/mail/smtpTransport.js - Sends mail through an SMTP server
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let transporter = null;
+
+// Created lazily so environments that never send over SMTP don't need SMTP settings
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set. Cannot send mail over SMTP.');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465, false for STARTTLS
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: 'smtp',
+
+  send: async(message) => {
+    await getTransporter().sendMail(message);
+  },
+};
+
+export default smtpTransport;
@@ -0,0 +1,94 @@
+// services/mediaStorage.js - Post images in our own storage (Cloudinary): rehosting remote images and deleting stored ones
+import { v2 as cloudinary } from 'cloudinary';
+import dotenv from 'dotenv';
+import { fetchPublicUrl, readLimitedBody } from '../utils/publicFetch.js';
+
+dotenv.config();
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Remote images larger than this are not rehosted (the upload limit for user images is 10MB)
+const REHOST_IMAGE_MAX_BYTES = parseInt(process.env.REHOST_IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+const REHOST_IMAGE_TIMEOUT_MS = parseInt(process.env.REHOST_IMAGE_TIMEOUT_MS) || 15 * 1000;
+const POST_IMAGE_FOLDER = 'second-brain-posts';
+
+// Accepted image types, recognized by their first bytes rather than the Content-Type the remote server claims
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'image/png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { type: 'image/webp', matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+/**
+ * Downloads a remote image, checks it is a JPEG, PNG, GIF or WebP within the size limit,
+ * and uploads a copy to our storage, so the post does not hotlink a picture that may change or vanish.
+ * Each call makes a new copy: every post owns its image and deleting one post never breaks another.
+ * @param {string} imageUrl - The remote image (http or https, on a public address).
+ * @param {object} [options] - { prefix } for the stored image's name (e.g., 'bot').
+ * @returns {string} The stored image's URL.
+ * @throws {Error} If the image cannot be downloaded, is not an accepted image, or the upload fails.
+ */
+const rehostImage = async(imageUrl, { prefix = 'post' } = {}) => {
+  const signal = AbortSignal.timeout(REHOST_IMAGE_TIMEOUT_MS);
+  const response = await fetchPublicUrl(imageUrl, { signal, headers: { Accept: 'image/*' } });
+  if (!response.ok) {
+    throw new Error(`Image responded with status ${response.status}.`);
+  }
+
+  const bytes = await readLimitedBody(response, REHOST_IMAGE_MAX_BYTES);
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => bytes.length >= 12 && matches(bytes));
+  if (!signature) {
+    throw new Error(`Not a JPEG, PNG, GIF or WebP image (Content-Type: ${response.headers.get('content-type') || 'none'}).`);
+  }
+
+  const result = await cloudinary.uploader.upload(`data:${signature.type};base64,${bytes.toString('base64')}`, {
+    folder: POST_IMAGE_FOLDER,
+    format: 'png', // Same as uploaded post images
+    public_id: `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  });
+  return result.secure_url;
+};
+
+/**
+ * Extracts the public ID from a Cloudinary URL.
+ * @param {string} imageUrl - e.g. https://res.cloudinary.com/cloud_name/image/upload/v12345/folder/public_id.png
+ * @returns {string|null} 'folder/public_id', or null if the URL is not one of our stored images.
+ */
+const getCloudinaryPublicId = (imageUrl) => {
+  if (!imageUrl || !imageUrl.includes('res.cloudinary.com')) {
+    return null; // Not a Cloudinary URL
+  }
+  const parts = imageUrl.split('/');
+  const uploadIndex = parts.indexOf('upload');
+  if (uploadIndex === -1 || uploadIndex + 1 >= parts.length) {
+    return null; // Invalid Cloudinary URL structure
+  }
+  // Everything after 'upload/' and the version, without the file extension
+  const publicIdWithExt = parts.slice(uploadIndex + 2).join('/');
+  return publicIdWithExt.split('.')[0];
+};
+
+/**
+ * Deletes an image from our storage. URLs of images stored elsewhere are ignored.
+ * Failures are logged, not thrown: the image is secondary to whatever is being deleted with it.
+ * @param {string} imageUrl - The image URL.
+ */
+const deleteStoredImage = async(imageUrl) => {
+  const publicId = getCloudinaryPublicId(imageUrl);
+  if (!publicId) {
+    return;
+  }
+  try {
+    await cloudinary.uploader.destroy(publicId);
+    console.log(`Cloudinary image deleted: ${publicId}`);
+  } catch (cloudinaryError) {
+    console.error(`Failed to delete image ${publicId} from Cloudinary:`, cloudinaryError);
+  }
+};
+
+export { rehostImage, deleteStoredImage };
@@ -0,0 +1,114 @@
+// services/newsDedupe.js - Recognizes news items bots already posted (same link, same text or a near-identical title)
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import IngestedItem from '../models/IngestedItem.js';
+
+dotenv.config();
+
+// Titles sharing at least this share of their significant words (Jaccard similarity) count as the same story
+const NEWS_TITLE_SIMILARITY_THRESHOLD = parseFloat(process.env.NEWS_TITLE_SIMILARITY_THRESHOLD) || 0.8;
+// Near-duplicate titles are only looked for among items posted this recently
+const NEWS_TITLE_DEDUPE_WINDOW_DAYS = parseInt(process.env.NEWS_TITLE_DEDUPE_WINDOW_DAYS) || 3;
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|cmpid|ocid)$/i;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'has', 'have', 'its', 'into', 'after', 'over', 'says', 'new']);
+
+/**
+ * Normalizes an article link so the same article shared with different tracking parameters matches.
+ * @param {string} link - The article URL.
+ * @returns {string} The canonical URL, or the trimmed input if it is not a valid URL.
+ */
+const canonicalizeLink = (link) => {
+  let url;
+  try {
+    url = new URL(link.trim());
+  } catch {
+    return link.trim();
+  }
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+  const params = Array.from(url.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+  url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+  return `${url.protocol === 'http:' ? 'https:' : url.protocol}//${url.host}${url.pathname === '/' ? '' : url.pathname}${url.search}`;
+};
+
+const normalizeText = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Hash of the normalized title and description
+const fingerprintItem = ({ title, description }) => {
+  return crypto.createHash('sha256').update(`${normalizeText(title)}\n${normalizeText(description)}`).digest('hex');
+};
+
+const getTitleTokens = (title) => {
+  const tokens = normalizeText(title).split(' ').filter(token => token.length > 2 && !STOP_WORDS.has(token));
+  return Array.from(new Set(tokens));
+};
+
+const getJaccardSimilarity = (a, b) => {
+  const setB = new Set(b);
+  const shared = a.filter(token => setB.has(token)).length;
+  const union = new Set([...a, ...b]).size;
+  return union === 0 ? 0 : shared / union;
+};
+
+/**
+ * Claims a news item for posting, unless it (or a near-identical story) was already posted by any bot.
+ * The claim is written before the post exists so two bots running at once cannot both post it;
+ * call completeIngestedItem once the post is created, or releaseIngestedItem if posting failed.
+ * @param {object} item - { link, title, description, source }
+ * @param {object} [options] - { bot }: the BotConfig id claiming it.
+ * @returns {{ claim: object|null, reason: string|null }} The claim, or why the item is a duplicate
+ *   ('link', 'fingerprint' or 'similarTitle').
+ */
+const claimIngestedItem = async({ link, title, description, source = null }, { bot = null } = {}) => {
+  const canonicalLink = canonicalizeLink(link);
+  if (await IngestedItem.exists({ canonicalLink })) {
+    return { claim: null, reason: 'link' };
+  }
+
+  const fingerprint = fingerprintItem({ title, description });
+  if (await IngestedItem.exists({ fingerprint })) {
+    return { claim: null, reason: 'fingerprint' };
+  }
+
+  const titleTokens = getTitleTokens(title);
+  if (titleTokens.length > 0) {
+    const candidates = await IngestedItem.find({
+      titleTokens: { $in: titleTokens },
+      createdAt: { $gte: new Date(Date.now() - NEWS_TITLE_DEDUPE_WINDOW_DAYS * ONE_DAY_MS) },
+    }).select('titleTokens').lean();
+    if (candidates.some(candidate => getJaccardSimilarity(titleTokens, candidate.titleTokens) >= NEWS_TITLE_SIMILARITY_THRESHOLD)) {
+      return { claim: null, reason: 'similarTitle' };
+    }
+  }
+
+  try {
+    const claim = await IngestedItem.create({ canonicalLink, fingerprint, title, titleTokens, source, bot });
+    return { claim, reason: null };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { claim: null, reason: 'link' }; // Claimed by a concurrent run
+    }
+    throw error;
+  }
+};
+
+// Links a claimed item to the post made from it
+const completeIngestedItem = async(claim, postId) => {
+  await IngestedItem.updateOne({ _id: claim._id }, { $set: { post: postId } });
+};
+
+// Gives up a claim so a later run can try the item again
+const releaseIngestedItem = async(claim) => {
+  await IngestedItem.deleteOne({ _id: claim._id });
+};
+
+export { canonicalizeLink, claimIngestedItem, completeIngestedItem, releaseIngestedItem };
@@ -0,0 +1,194 @@
+// services/postSearch.js - Full-text post search (MongoDB text index) with filters, ranking and snippets
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Post from '../models/Post.js';
+import { embedText } from './ai/index.js';
+import { findNearestPosts } from './vectorIndex.js';
+
+dotenv.config();
+
+// A post this many days old scores half of an identical brand new post when sorting by relevance
+const SEARCH_RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.SEARCH_RECENCY_HALF_LIFE_DAYS) || 30;
+const SNIPPET_LENGTH = 160;
+// Semantic search ranks this many nearest neighbours per requested result, then applies the filters
+const SEMANTIC_SEARCH_OVERFETCH = 5;
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Text score damped by age, so fresh matches beat equally relevant old ones
+const buildSearchScoreExpression = (asOf) => ({
+  $divide: [
+    { $meta: 'textScore' },
+    {
+      $add: [1, {
+        $divide: [{ $max: [0, { $subtract: [asOf, '$createdAt'] }] }, SEARCH_RECENCY_HALF_LIFE_DAYS * ONE_DAY_MS],
+      }],
+    },
+  ],
+});
+
+// Continues the (searchScore desc, createdAt desc, _id desc) ordering after the previous page
+const buildRelevanceCursorMatch = (cursor) => {
+  const createdAt = new Date(cursor.createdAt);
+  return {
+    $or: [
+      { searchScore: { $lt: cursor.score } },
+      { searchScore: cursor.score, createdAt: { $lt: createdAt } },
+      { searchScore: cursor.score, createdAt, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } },
+    ],
+  };
+};
+
+/**
+ * Runs one page of a post search.
+ * @param {object} options
+ * @param {string} options.query - The search text ($text syntax: "exact phrase", -excluded).
+ * @param {object} options.filter - Extra MongoDB filter (author, category, image, ...).
+ * @param {Date|null} [options.from] - Only posts created at or after this time.
+ * @param {Date|null} [options.to] - Only posts created at or before this time.
+ * @param {string} options.sort - 'relevance' (text score with recency decay) or 'recent'.
+ * @param {Date} options.asOf - Snapshot time; newer posts are ignored and recency is measured from it.
+ * @param {object|null} options.cursor - Decoded cursor of the previous page.
+ * @param {object} options.cursorFilter - createdAt/_id filter used when sorting by 'recent'.
+ * @param {number} options.limit - Page size.
+ * @returns {Array} Up to `limit + 1` plain post objects with `searchScore`.
+ */
+const searchPosts = async({ query, filter, from = null, to = null, sort, asOf, cursor, cursorFilter, limit }) => {
+  const createdAt = { $lte: to && to < asOf ? to : asOf };
+  if (from) {
+    createdAt.$gte = from;
+  }
+  const match = {
+    $text: { $search: query },
+    hidden: { $ne: true },
+    createdAt,
+    ...filter,
+  };
+  if (sort === 'recent' && cursorFilter.$or) {
+    match.$and = [cursorFilter];
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { searchScore: buildSearchScoreExpression(asOf) } },
+  ];
+  if (sort === 'relevance') {
+    if (cursor) {
+      pipeline.push({ $match: buildRelevanceCursorMatch(cursor) });
+    }
+    pipeline.push({ $sort: { searchScore: -1, createdAt: -1, _id: -1 } });
+  } else {
+    pipeline.push({ $sort: { createdAt: -1, _id: -1 } });
+  }
+  pipeline.push({ $limit: limit + 1 });
+
+  return Post.aggregate(pipeline);
+};
+
+/**
+ * Runs one page of a semantic search: the query is embedded and compared with post embeddings.
+ * @param {object} options
+ * @param {string} options.query - The search text.
+ * @param {object} options.filter - Extra MongoDB filter, as for searchPosts.
+ * @param {Date|null} [options.from] - Only posts created at or after this time.
+ * @param {Date|null} [options.to] - Only posts created at or before this time.
+ * @param {{ score: number, id: string }|null} options.cursor - Decoded cursor of the previous page.
+ * @param {number} options.limit - Page size.
+ * @returns {{ posts: Array, next: object|null }} Plain post objects with `similarity`, best first,
+ *   and the cursor data for the next page.
+ */
+const semanticSearchPosts = async({ query, filter, from = null, to = null, cursor, limit }) => {
+  const { model, vector } = await embedText(query);
+  const fetchCount = (limit + 1) * SEMANTIC_SEARCH_OVERFETCH;
+  const candidates = await findNearestPosts(vector, { model, limit: fetchCount, after: cursor });
+  if (candidates.length === 0) {
+    return { posts: [], next: null };
+  }
+
+  const match = { _id: { $in: candidates.map(candidate => new mongoose.Types.ObjectId(candidate.postId)) }, hidden: { $ne: true }, ...filter };
+  if (from || to) {
+    match.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+  const postsById = new Map((await Post.find(match).lean()).map(post => [post._id.toString(), post]));
+
+  const results = candidates
+    .filter(candidate => postsById.has(candidate.postId))
+    .map(candidate => ({ ...postsById.get(candidate.postId), similarity: candidate.score }));
+
+  if (results.length > limit) {
+    const last = results[limit - 1];
+    return { posts: results.slice(0, limit), next: { score: last.similarity, id: last._id } };
+  }
+  // Filters may have dropped most candidates; if the scan was cut short, continue after the last one
+  const lastCandidate = candidates[candidates.length - 1];
+  const next = candidates.length === fetchCount ? { score: lastCandidate.score, id: lastCandidate.postId } : null;
+  return { posts: results, next };
+};
+
+// Reduces a word to a rough stem so "running" highlights for "run" like the text index matches it
+const stem = (word) => word.toLowerCase()
+  .replace(/(ing|ed|es|s)$/, '')
+  .replace(/([^aeiou])\1$/, '$1'); // "runn" -> "run"
+
+// Positive search terms: quoted phrases are split into words, "-excluded" terms are dropped
+const getSearchTerms = (query) => {
+  const terms = query
+    .replace(/-"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => stem(term.replace(/[^\p{L}\p{N}]/gu, '')))
+    .filter(term => term.length > 1);
+  return Array.from(new Set(terms));
+};
+
+/**
+ * Cuts the part of a text around the first matching term.
+ * @param {string} text - Post content or AI summary.
+ * @param {Array<string>} terms - Stemmed search terms (see getSearchTerms).
+ * @returns {{ text: string, highlights: Array<{ start: number, end: number }> }|null}
+ *   Offsets into the snippet text of each matching word, or null if no word matches.
+ */
+const buildSnippet = (text, terms) => {
+  if (!text) {
+    return null;
+  }
+  const matches = Array.from(text.matchAll(/[\p{L}\p{N}]+/gu))
+    .filter(([word]) => terms.includes(stem(word)))
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  // Start a little before the first match, at a word boundary
+  let start = Math.max(0, matches[0].start - Math.floor(SNIPPET_LENGTH / 4));
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    start = nextSpace !== -1 && nextSpace < matches[0].start ? nextSpace + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => ({ start: match.start - start + prefix.length, end: match.end - start + prefix.length })),
+  };
+};
+
+/**
+ * Picks the snippet for a search result: from the content if it matches, otherwise from the AI summary.
+ * @returns {{ field: string, text: string, highlights: Array }|null}
+ */
+const getPostSnippet = (post, query) => {
+  const terms = getSearchTerms(query);
+  const fromContent = buildSnippet(post.content, terms);
+  if (fromContent) {
+    return { field: 'content', ...fromContent };
+  }
+  const fromSummary = buildSnippet(post.aiAnalysis && post.aiAnalysis.summary, terms);
+  return fromSummary ? { field: 'summary', ...fromSummary } : null;
+};
+
+export { searchPosts, semanticSearchPosts, getPostSnippet };
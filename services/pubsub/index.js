@@ -0,0 +1,41 @@
+// services/pubsub/index.js - Pub/sub abstraction: picks an adapter from PUBSUB_ADAPTER for real-time events
+import dotenv from 'dotenv';
+import memoryAdapter from './memoryAdapter.js';
+
+dotenv.config();
+
+// An adapter is { name, publish(channel, message), subscribe(channel, listener) => unsubscribe }.
+// Running several server instances needs one that fans out between them (e.g. MongoDB change streams or Redis).
+const adapters = {
+  [memoryAdapter.name]: memoryAdapter,
+};
+
+const getAdapter = () => {
+  const name = process.env.PUBSUB_ADAPTER || 'memory';
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown pub/sub adapter "${name}". Use one of: ${Object.keys(adapters).join(', ')}.`);
+  }
+  return adapter;
+};
+
+/**
+ * Publishes a message to everyone subscribed to a channel.
+ * @param {string} channel - The channel name.
+ * @param {object} message - JSON-serializable payload.
+ */
+const publish = async(channel, message) => {
+  await getAdapter().publish(channel, message);
+};
+
+/**
+ * Listens for messages on a channel.
+ * @param {string} channel - The channel name.
+ * @param {function} listener - (message) => void
+ * @returns {function} Call to stop listening.
+ */
+const subscribe = (channel, listener) => {
+  return getAdapter().subscribe(channel, listener);
+};
+
+export { publish, subscribe };
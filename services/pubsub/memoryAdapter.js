@@ -0,0 +1,20 @@
+// services/pubsub/memoryAdapter.js - In-process pub/sub; only reaches subscribers in the same server process
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream, so no fixed limit
+
+const memoryAdapter = {
+  name: 'memory',
+
+  publish: async(channel, message) => {
+    emitter.emit(channel, message);
+  },
+
+  subscribe: (channel, listener) => {
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+  },
+};
+
+export default memoryAdapter;
@@ -0,0 +1,120 @@
+// services/quotaTracker.js - Daily call budgets for metered external APIs (news sources and AI providers)
+import dotenv from 'dotenv';
+import ApiUsage from '../models/ApiUsage.js';
+
+dotenv.config();
+
+// Calls allowed per UTC day; unset means unlimited (usage is still counted)
+const DAILY_QUOTAS = {
+  newsdata: parseInt(process.env.NEWSDATA_DAILY_QUOTA) || 200, // Newsdata.io free tier: 200 credits a day
+  zenquotes: parseInt(process.env.ZENQUOTES_DAILY_QUOTA) || null,
+  huggingface: parseInt(process.env.HUGGINGFACE_DAILY_QUOTA) || null,
+  gemini: parseInt(process.env.GEMINI_DAILY_QUOTA) || null,
+};
+
+const QUOTA_PROVIDERS = Object.keys(DAILY_QUOTAS);
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thrown instead of calling a provider whose budget for today is used up; retryAt is when it resets
+class QuotaExceededError extends Error {
+  constructor(provider, retryAt) {
+    super(`Daily ${provider} quota of ${DAILY_QUOTAS[provider]} calls is used up; it resets at ${retryAt.toISOString()}.`);
+    this.name = 'QuotaExceededError';
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+const getQuotaDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Budgets reset at UTC midnight
+const getQuotaResetAt = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) + ONE_DAY_MS);
+};
+
+/**
+ * Records calls to a provider before they are made, refusing them if they would go over today's budget.
+ * The check and the increment are one atomic update, so concurrent workers cannot overspend together.
+ * @param {string} provider - One of QUOTA_PROVIDERS.
+ * @param {number} [amount] - Calls about to be made.
+ * @throws {QuotaExceededError} If the budget does not cover the calls.
+ */
+const consumeQuota = async(provider, amount = 1) => {
+  const day = getQuotaDay();
+  const budget = DAILY_QUOTAS[provider];
+  if (!budget) {
+    await ApiUsage.updateOne({ provider, day }, { $inc: { count: amount } }, { upsert: true });
+    return;
+  }
+  if (amount > budget) {
+    throw new QuotaExceededError(provider, getQuotaResetAt());
+  }
+
+  const withinBudget = { provider, day, count: { $lte: budget - amount } };
+  try {
+    await ApiUsage.updateOne(withinBudget, { $inc: { count: amount } }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // The day's counter exists but is over budget, or another worker created it first: try once without upsert
+    const result = await ApiUsage.updateOne(withinBudget, { $inc: { count: amount } });
+    if (result.modifiedCount === 0) {
+      throw new QuotaExceededError(provider, getQuotaResetAt());
+    }
+  }
+};
+
+/**
+ * Checks, without recording anything, that today's budgets cover a batch of calls, so a batch is not
+ * started only to be thrown away when its last call is refused.
+ * @param {object} calls - Calls about to be made per provider, e.g. { huggingface: 3, gemini: 1 }.
+ *   Providers without a budget (or not metered at all) are ignored.
+ * @throws {QuotaExceededError} For the first provider whose remaining budget is too small.
+ */
+const assertQuotaAvailable = async(calls) => {
+  const day = getQuotaDay();
+  for (const [provider, amount] of Object.entries(calls)) {
+    const budget = DAILY_QUOTAS[provider];
+    if (!budget) {
+      continue;
+    }
+    const usage = await ApiUsage.findOne({ provider, day }).select('count').lean();
+    if ((usage ? usage.count : 0) + amount > budget) {
+      throw new QuotaExceededError(provider, getQuotaResetAt());
+    }
+  }
+};
+
+/**
+ * Reports today's usage against each budget, plus the daily counts of recent days.
+ * @param {number} [days] - How many days of history to include, today included.
+ * @returns {{ day: string, resetsAt: Date, providers: Array<object>, history: Array<object> }}
+ */
+const getQuotaUsage = async(days = 7) => {
+  const now = new Date();
+  const day = getQuotaDay(now);
+  const since = getQuotaDay(new Date(getQuotaResetAt(now).getTime() - days * ONE_DAY_MS));
+
+  const usage = await ApiUsage.find({ day: { $gte: since } }).sort({ day: -1, provider: 1 }).lean();
+  const usedToday = new Map(usage.filter(entry => entry.day === day).map(entry => [entry.provider, entry.count]));
+
+  return {
+    day,
+    resetsAt: getQuotaResetAt(now),
+    providers: QUOTA_PROVIDERS.map(provider => {
+      const budget = DAILY_QUOTAS[provider];
+      const used = usedToday.get(provider) || 0;
+      return {
+        provider,
+        budget,
+        used,
+        remaining: budget ? Math.max(0, budget - used) : null,
+        exhausted: budget ? used >= budget : false,
+      };
+    }),
+    history: usage.map(({ provider, day: usageDay, count }) => ({ provider, day: usageDay, count })),
+  };
+};
+
+export { QUOTA_PROVIDERS, QuotaExceededError, consumeQuota, assertQuotaAvailable, getQuotaUsage };
@@ -0,0 +1,126 @@
+// services/sessions.js - Short-lived access tokens and rotating refresh tokens per device session
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import Session from '../models/Session.js';
+
+dotenv.config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const MAX_PREVIOUS_TOKEN_HASHES = 50; // Rotated hashes kept per session for reuse detection
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random secret>" so the session can be found without scanning hashes
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+/**
+ * Starts a new device session for a user.
+ * @param {object} user - The user document.
+ * @param {object} req - The Express request (user agent and IP are recorded for the session list).
+ * @returns {{ token: string, refreshToken: string, sessionId: string }}
+ */
+const createSession = async(user, req) => {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending', // Replaced below once the id used in the token is known
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    sessionId: session._id.toString(),
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated out revokes the whole session (token family).
+ * @param {string} refreshToken - The refresh token from the client.
+ * @returns {{ token: string, refreshToken: string, sessionId: string }|{ error: string }}
+ */
+const rotateRefreshToken = async(refreshToken) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  const session = sessionId && /^[a-f0-9]{24}$/.test(sessionId) ? await Session.findById(sessionId) : null;
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.tokenHash) {
+    if (session.previousTokenHashes.includes(presentedHash)) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'reuse-detected';
+      await session.save();
+      console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user}). Session revoked.`);
+    }
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  // Only succeed if the token is still current, so two concurrent refreshes can't both rotate it
+  const newRefreshToken = createRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { tokenHash: hashToken(newRefreshToken), lastUsedAt: new Date() },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+    },
+    { new: true },
+  );
+  if (!rotated) {
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  return {
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken,
+    sessionId: session._id.toString(),
+  };
+};
+
+/**
+ * Revokes one session of a user.
+ * @returns {boolean} Whether an active session was revoked.
+ */
+const revokeSession = async(userId, sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revokes every active session of a user (e.g., after a password change)
+const revokeAllSessions = async(userId, reason = 'revoked') => {
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+// Whether the session an access token belongs to is still usable
+const isSessionActive = async(sessionId) => {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+export {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,83 @@
+// services/vectorIndex.js - Nearest-neighbour search over post embeddings
+// Brute force: every query scans the stored vectors of one model. Replacing this module's functions
+// with calls to an ANN index (e.g., Atlas Vector Search) keeps callers unchanged.
+import dotenv from 'dotenv';
+import PostEmbedding from '../models/PostEmbedding.js';
+
+dotenv.config();
+
+// Matches below this cosine similarity are not returned
+const EMBEDDING_MIN_SIMILARITY = parseFloat(process.env.EMBEDDING_MIN_SIMILARITY) || 0;
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+};
+
+// Orders matches by similarity desc, then post id desc, so pages can continue after a match
+const compareMatches = (a, b) => b.score - a.score || (b.postId > a.postId ? 1 : b.postId < a.postId ? -1 : 0);
+
+// Stores (or replaces) the vector of a post
+const upsertPostVector = async(postId, model, vector) => {
+  await PostEmbedding.updateOne(
+    { post: postId },
+    { $set: { model, vector } },
+    { upsert: true },
+  );
+};
+
+const getPostVector = async(postId) => {
+  return PostEmbedding.findOne({ post: postId }).lean();
+};
+
+const removePostVectors = async(postIds) => {
+  await PostEmbedding.deleteMany({ post: { $in: postIds } });
+};
+
+/**
+ * Finds the posts whose vectors are most similar to a query vector.
+ * @param {Array<number>} vector - The query vector.
+ * @param {object} options
+ * @param {string} options.model - Only vectors from this model are compared.
+ * @param {number} options.limit - Max matches returned.
+ * @param {Array<string>} [options.exclude] - Post ids to leave out (e.g., the post itself).
+ * @param {{ score: number, id: string }|null} [options.after] - Only matches ordered after this one (pagination).
+ * @returns {Array<{ postId: string, score: number }>} Best matches first.
+ */
+const findNearestPosts = async(vector, { model, limit, exclude = [], after = null }) => {
+  const excluded = new Set(exclude.map(id => id.toString()));
+  const matches = [];
+
+  const cursor = PostEmbedding.find({ model }).select('post vector').lean().cursor();
+  for await (const embedding of cursor) {
+    const postId = embedding.post.toString();
+    const score = cosineSimilarity(vector, embedding.vector);
+    if (excluded.has(postId) || score < EMBEDDING_MIN_SIMILARITY) {
+      continue;
+    }
+    const match = { postId, score };
+    if (after && compareMatches({ postId: after.id, score: after.score }, match) >= 0) {
+      continue;
+    }
+
+    // Keep only the best `limit` matches in memory
+    if (matches.length < limit || compareMatches(match, matches[matches.length - 1]) < 0) {
+      matches.push(match);
+      matches.sort(compareMatches);
+      if (matches.length > limit) {
+        matches.pop();
+      }
+    }
+  }
+
+  return matches;
+};
+
+export { upsertPostVector, getPostVector, removePostVectors, findNearestPosts };
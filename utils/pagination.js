@@ -0,0 +1,86 @@
+// utils/pagination.js - Opaque cursor pagination helpers shared by list endpoints
+import mongoose from 'mongoose';
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+// Cursors are base64url-encoded JSON so clients treat them as opaque strings
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+    return data;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads `limit` and `cursor` from a request query.
+ * @param {object} query - req.query
+ * @returns {{ limit: number, cursor: object|null, error: string|null }}
+ */
+const parsePagination = (query) => {
+  const parsedLimit = parseInt(query.limit);
+  const limit = Number.isNaN(parsedLimit) ? DEFAULT_PAGE_LIMIT : Math.min(Math.max(parsedLimit, 1), MAX_PAGE_LIMIT);
+
+  if (!query.cursor) {
+    return { limit, cursor: null, error: null };
+  }
+  const cursor = decodeCursor(query.cursor);
+  if (!cursor) {
+    return { limit, cursor: null, error: 'Invalid pagination cursor.' };
+  }
+  return { limit, cursor, error: null };
+};
+
+/**
+ * Builds a filter that continues a newest-first listing after the cursor position.
+ * Ties on createdAt are broken by _id so the order is total and stable under concurrent inserts.
+ * @param {object|null} cursor - Decoded cursor with `createdAt` and `id`.
+ * @returns {object|null} A MongoDB filter (empty for the first page), or null if the cursor is malformed.
+ */
+const getCreatedAtCursorFilter = (cursor) => {
+  if (!cursor) {
+    return {};
+  }
+  const createdAt = new Date(cursor.createdAt);
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+    return null;
+  }
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { createdAt: { $lt: createdAt } },
+      { createdAt, _id: { $lt: id } },
+    ],
+  };
+};
+
+/**
+ * Splits a result fetched with `limit + 1` into the page and the cursor for the next one.
+ * @param {Array} items - Results fetched with one extra item.
+ * @param {number} limit - Page size.
+ * @param {function} [toCursor] - Maps the last item of the page to cursor data.
+ * @returns {{ items: Array, nextCursor: string|null }}
+ */
+const buildPage = (items, limit, toCursor = (item) => ({ createdAt: item.createdAt, id: item._id })) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  const nextCursor = hasMore ? encodeCursor(toCursor(pageItems[pageItems.length - 1])) : null;
+  return { items: pageItems, nextCursor };
+};
+
+export {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  getCreatedAtCursorFilter,
+  buildPage,
+};
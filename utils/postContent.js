@@ -0,0 +1,44 @@
+// utils/postContent.js - Extracts #hashtags and @mentions typed into post content
+import User from '../models/User.js';
+
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+
+// A tag or mention must not be glued to a preceding word (e.g., "C#" or "me@example.com")
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,50})/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([\p{L}\p{N}_.-]{1,50})/gu;
+
+// Hashtags are stored lowercased so #AI and #ai are the same tag; pure numbers ("#1") are not tags
+const normalizeHashtag = (tag) => tag.replace(/^#/, '').toLowerCase();
+
+const extractHashtags = (content) => {
+  const tags = Array.from((content || '').matchAll(HASHTAG_PATTERN), match => normalizeHashtag(match[2]))
+    .filter(tag => /\p{L}/u.test(tag));
+  return Array.from(new Set(tags)).slice(0, MAX_HASHTAGS);
+};
+
+const extractMentionUsernames = (content) => {
+  // Trailing dots/dashes are punctuation ("thanks @alice.")
+  const usernames = Array.from((content || '').matchAll(MENTION_PATTERN), match => match[2].replace(/[.-]+$/, ''))
+    .filter(Boolean);
+  return Array.from(new Set(usernames)).slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Parses the explicit hashtags and mentions in post content.
+ * Mentions are resolved to existing users (case-insensitive); unknown usernames are ignored.
+ * @param {string} content - The post content.
+ * @returns {{ hashtags: Array<string>, mentions: Array<object> }} Lowercased tags and mentioned user ids.
+ */
+const parsePostContent = async(content) => {
+  const usernames = extractMentionUsernames(content);
+  const mentionedUsers = usernames.length > 0 ?
+    await User.find({ username: { $in: usernames } }).collation({ locale: 'en', strength: 2 }).select('_id') :
+    [];
+  return {
+    hashtags: extractHashtags(content),
+    mentions: mentionedUsers.map(user => user._id),
+  };
+};
+
+export { normalizeHashtag, extractHashtags, parsePostContent };
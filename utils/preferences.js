@@ -0,0 +1,57 @@
+// utils/preferences.js - Keeps users' liked category/topic counts (userPreferences) in step with post analysis
+import User from '../models/User.js';
+
+/**
+ * Adds `delta` to the user's counts for a post's category and topics. Counts that reach 0 are removed.
+ * Does not save the user.
+ * @param {object} user - The user document.
+ * @param {object} aiAnalysis - The post's aiAnalysis (category, topics).
+ * @param {number} delta - +1 when the user likes/saves the post, -1 when they undo it.
+ */
+const adjustUserPreferences = (user, aiAnalysis, delta) => {
+  if (!aiAnalysis) {
+    return;
+  }
+  const adjust = (counts, key) => {
+    const nextCount = (counts.get(key) || 0) + delta;
+    if (nextCount > 0) {
+      counts.set(key, nextCount);
+    } else {
+      counts.delete(key);
+    }
+  };
+
+  if (aiAnalysis.category) {
+    adjust(user.userPreferences.likedCategories, aiAnalysis.category);
+  }
+  (aiAnalysis.topics || []).forEach(topic => adjust(user.userPreferences.likedTopics, topic));
+};
+
+const hasSameCategoryAndTopics = (a, b) => {
+  const topicsA = [...((a && a.topics) || [])].sort();
+  const topicsB = [...((b && b.topics) || [])].sort();
+  return (a && a.category) === (b && b.category) &&
+    topicsA.length === topicsB.length && topicsA.every((topic, index) => topic === topicsB[index]);
+};
+
+/**
+ * Moves users' preference counts from a post's previous analysis to its new one,
+ * for everyone whose preferences were built from the post (e.g., its likers).
+ * @param {Array} userIds - Users whose preferences include the post.
+ * @param {object} previousAnalysis - aiAnalysis before re-analysis.
+ * @param {object} newAnalysis - aiAnalysis after re-analysis.
+ */
+const reconcileUserPreferences = async(userIds, previousAnalysis, newAnalysis) => {
+  if (userIds.length === 0 || hasSameCategoryAndTopics(previousAnalysis, newAnalysis)) {
+    return;
+  }
+
+  const users = await User.find({ _id: { $in: userIds } });
+  for (const user of users) {
+    adjustUserPreferences(user, previousAnalysis, -1);
+    adjustUserPreferences(user, newAnalysis, 1);
+    await user.save();
+  }
+};
+
+export { adjustUserPreferences, reconcileUserPreferences };
@@ -0,0 +1,91 @@
+// utils/publicFetch.js - fetch() for URLs that come from outside (feeds, article images): public http(s) hosts only
+import dns from 'dns/promises';
+import net from 'net';
+
+const PUBLIC_FETCH_MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local and other addresses that must never be fetched on a third party's say-so
+const isPrivateAddress = (address) => {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses, dotted (::ffff:10.0.0.1) or as URL parsing writes them (::ffff:a00:1)
+    const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    if (lower.startsWith('::ffff:')) {
+      return isPrivateAddress(lower.slice(7));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+};
+
+const assertPublicHttpUrl = async(url) => {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported URL protocol "${url.protocol}".`);
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Host ${hostname} is not a public address.`);
+  }
+};
+
+/**
+ * Fetches a URL taken from untrusted input, so the server cannot be pointed at its own network.
+ * Redirects are followed here rather than by fetch, so every hop is checked too.
+ * @param {string} rawUrl - The http(s) URL.
+ * @param {object} [options] - { signal, headers } passed to fetch.
+ * @returns {Response} The final (non-redirect) response.
+ * @throws {Error} If a hop is not a public http(s) host, or after too many redirects.
+ */
+const fetchPublicUrl = async(rawUrl, { signal, headers } = {}) => {
+  let url = new URL(rawUrl);
+  for (let redirects = 0; redirects <= PUBLIC_FETCH_MAX_REDIRECTS; redirects += 1) {
+    await assertPublicHttpUrl(url);
+    const response = await fetch(url, { redirect: 'manual', signal, headers });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    url = new URL(location, url);
+  }
+  throw new Error(`Too many redirects fetching ${rawUrl}.`);
+};
+
+/**
+ * Reads a response body, giving up as soon as it passes the size limit: a declared Content-Length over it
+ * is refused before reading, and otherwise the download is cancelled at the first chunk past it.
+ * @param {Response} response - A fetch response.
+ * @param {number} maxBytes - The largest accepted body.
+ * @returns {Buffer} The body.
+ * @throws {Error} If the body is larger than maxBytes.
+ */
+const readLimitedBody = async(response, maxBytes) => {
+  const declaredLength = parseInt(response.headers.get('content-length'));
+  if (declaredLength > maxBytes) {
+    await response.body?.cancel();
+    throw new Error(`Response is ${declaredLength} bytes; the limit is ${maxBytes}.`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Throwing out of the loop cancels the stream, which closes the connection
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Response is larger than the ${maxBytes}-byte limit.`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+export { fetchPublicUrl, readLimitedBody };